@@ -1,104 +1,1624 @@
 // index.js (ESM) — Stremio add-on + custom landing page (single page) with TV-friendly deeplinks
 import 'dotenv/config';
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'node:fs';
+import { open, rename, mkdir } from 'node:fs/promises';
+import { randomBytes } from 'node:crypto';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { fileURLToPath } from 'node:url';
+import { resolve, dirname, join } from 'node:path';
 import express from 'express';
 import sdk from 'stremio-addon-sdk';
 const { addonBuilder } = sdk;
 
 // ---------- server/env ----------
 const PORT = process.env.PORT || 7000;
+// on-disk stores (id map, profiles) live here unless their own *_FILE variable says otherwise ('' = memory only)
+const DATA_DIR = process.env.DATA_DIR || 'data';
 const TMDB_KEY = process.env.TMDB_API_KEY;
 if (!TMDB_KEY) { console.error('Missing TMDB_API_KEY in environment'); process.exit(1); }
 
-const TMDB_IMG_W500 = 'https://image.tmdb.org/t/p/w500';
-const TMDB_IMG_BG   = 'https://image.tmdb.org/t/p/w1280';
+// overridable for the offline test suite (test/mock-tmdb.js) or a caching proxy
+const TMDB_API      = (process.env.TMDB_BASE_URL || 'https://api.themoviedb.org/3').replace(/\/+$/, '');
+const TMDB_IMG_BASE = (process.env.TMDB_IMAGE_BASE || 'https://image.tmdb.org/t/p').replace(/\/+$/, '');
+const TMDB_IMG_LOGO = `${TMDB_IMG_BASE}/w92`;
+// TMDB image sizes per imageQuality setting: low for slow connections, high for TVs
+const IMAGE_SIZES = {
+  low:      { poster: 'w185', background: 'w780',     logo: 'w185' },
+  standard: { poster: 'w500', background: 'w1280',    logo: 'w500' },
+  high:     { poster: 'w780', background: 'original', logo: 'original' }
+};
 
 const DEFAULTS = {
   enableOnAir: true,
+  enableAiringToday: true,
+  enableNextWeek: true,
+  enablePremieres: true,
+  timezone: 'UTC',
   enableRecsTv: true,
   enableRecsMovie: true,
   enableStreamsRecs: true,
-  compatPopularImdb: false
+  streamRows: ['recs', 'similar', 'collection', 'creator', 'search'], // stream rows on title pages (see STREAMS)
+  compatPopularImdb: false,
+  language: 'en-GB',
+  region: '',
+  enableDiscover: true,
+  yearFrom: null,
+  yearTo: null,
+  minRating: null,
+  minVotes: null,
+  originalLanguage: '',
+  network: '',
+  providers: [],
+  onlyMyProviders: false,
+  useSimilar: true,
+  enableCandidates: true,
+
+  // people
+  enablePeople: true,
+  personSort: 'popularity',    // person pages: 'popularity' | 'date'
+  enableCollections: true,
+
+  // watch history (see Profiles)
+  profile: '',                 // opaque token from /configure → imported history
+
+  // catalog layout: order, names, hidden rails and custom rails (see Catalog layout)
+  rails: [],
+
+  // paging: items per response; Stremio asks for more with skip = the number of items it already has
+  pageSize: 100,               // list rails (On the air, Popular, Discover, People, …)
+  recsPageSize: 50,            // recommendation rails (search, For you, custom seed rails)
+  season0Size: 20,             // Season 0 of meta pages
+
+  // content filters (see Content filters): every rail, Season 0 and the recs rails
+  excludeAdult: true,
+  maxCertMovie: '',            // highest allowed certification in the watch region, e.g. 'PG-13' / '12'
+  maxCertTv: '',               // e.g. 'TV-14' / '12'
+  excludeGenres: [],           // TMDB genre ids
+  excludeKeywords: [],         // lower-case TMDB keyword (or genre) names, e.g. 'anime'
+  blocklist: [],               // 'tt0944947' | 'movie:603' | 'tv:1399'
+
+  // artwork (see Posters)
+  imageQuality: 'standard',    // 'low' | 'standard' | 'high' (IMAGE_SIZES)
+  localPosters: false,         // posters in the configured language from /images, when TMDB has one
+  posterOverlay: false         // posters served by /poster/<id>.jpg with the TMDB score and a new-episode badge
 };
+const PAGE_SIZES = [20, 50, 100];
+const STREAM_ROWS = DEFAULTS.streamRows;
+
+// ---------- logging & metrics ----------
+// One JSON object per line; lines written while serving a request carry its id (X-Request-Id).
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const requestContext = new AsyncLocalStorage();
+
+function log(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+  const line = JSON.stringify({ time: new Date().toISOString(), level, msg, reqId: requestContext.getStore()?.reqId, ...fields });
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// Prometheus text format, no client library: counters and histograms keyed by their label set
+const LATENCY_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const metrics = new Map(); // name -> { type, help, series: Map<labelKey, { labels, value } | { labels, buckets, sum, count }> }
+function defineMetric(name, type, help) { metrics.set(name, { type, help, series: new Map() }); }
+function seriesFor(name, labels, init) {
+  const m = metrics.get(name);
+  const key = JSON.stringify(labels);
+  if (!m.series.has(key)) m.series.set(key, { labels, ...init() });
+  return m.series.get(key);
+}
+const inc = (name, labels = {}, by = 1) => { seriesFor(name, labels, () => ({ value: 0 })).value += by; };
+function observe(name, labels, seconds) {
+  const s = seriesFor(name, labels, () => ({ buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }));
+  LATENCY_BUCKETS.forEach((le, i) => { if (seconds <= le) s.buckets[i]++; });
+  s.sum += seconds; s.count++;
+}
+function renderMetrics(extra = []) {
+  const fmt = (labels) => {
+    const parts = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/[\\"\n]/g, c => (c === '\n' ? '\\n' : `\\${c}`))}"`);
+    return parts.length ? `{${parts.join(',')}}` : '';
+  };
+  const out = [];
+  for (const [name, m] of metrics) {
+    out.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`);
+    for (const s of m.series.values()) {
+      if (m.type !== 'histogram') { out.push(`${name}${fmt(s.labels)} ${s.value}`); continue; }
+      LATENCY_BUCKETS.forEach((le, i) => out.push(`${name}_bucket${fmt({ ...s.labels, le })} ${s.buckets[i]}`));
+      out.push(`${name}_bucket${fmt({ ...s.labels, le: '+Inf' })} ${s.count}`, `${name}_sum${fmt(s.labels)} ${s.sum}`, `${name}_count${fmt(s.labels)} ${s.count}`);
+    }
+  }
+  for (const [name, type, help, value] of extra) out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, `${name} ${value}`);
+  return `${out.join('\n')}\n`;
+}
+defineMetric('http_requests_total', 'counter', 'HTTP requests by resource, catalog id and status');
+defineMetric('http_request_duration_seconds', 'histogram', 'HTTP request latency by resource and catalog id');
+defineMetric('tmdb_requests_total', 'counter', 'TMDB network requests (cache misses, retries included) by endpoint and outcome');
+defineMetric('tmdb_request_duration_seconds', 'histogram', 'TMDB network request latency by endpoint');
+defineMetric('tmdb_failures_total', 'counter', 'TMDB failures handled by a fallback (empty rail, missing field) by endpoint');
+defineMetric('poster_renders_total', 'counter', '/poster images by outcome (overlay, placeholder, cached, fallback)');
+
+// /tv/1399/season/2 → /tv/:id/season/:n, /find/tt0944947 → /find/:imdb (bounded label values)
+const tmdbEndpoint = (path) => path.replace(/\/tt\d+/g, '/:imdb').replace(/\/season\/\d+/g, '/season/:n').replace(/\/\d+/g, '/:id');
+
+// ---------- TMDB response cache ----------
+// In-memory cache under tmdb(), keyed by path + query (without api_key), with a TTL per endpoint, bounded by
+// entry count and approximate size (a /tv details response with appends can be 100 KB+).
+// Identical in-flight requests share one fetch. Set TMDB_CACHE_FILE to persist the long-lived entries
+// (ids, genres, recommendations, …; not details or lists) across restarts.
+const CACHE_FILE = process.env.TMDB_CACHE_FILE || '';
+const CACHE_MAX  = Number(process.env.TMDB_CACHE_MAX || 20000);
+const CACHE_MAX_BYTES = Number(process.env.TMDB_CACHE_MAX_MB || 64) * 1024 * 1024;
+const MIN = 60 * 1000, HOUR = 60 * MIN, DAY = 24 * HOUR;
+const CACHE_PERSIST_TTL = DAY;
+const CACHE_TTLS = [ // first match wins
+  [/\/external_ids$/,                       30 * DAY],
+  [/^\/find\//,                             30 * DAY],
+  [/^\/genre\//,                            7 * DAY],
+  [/^\/watch\/providers\//,                 7 * DAY],
+  [/\/watch\/providers$/,                   DAY],
+  [/^\/trending\//,                         30 * MIN],
+  [/^\/tv\/(on_the_air|airing_today)$/,      30 * MIN],
+  [/^\/(tv|movie)\/popular$/,                2 * HOUR],
+  [/^\/discover\//,                         2 * HOUR],
+  [/^\/search\//,                           6 * HOUR],
+  [/\/(recommendations|similar)$/,          DAY],
+  [/\/(release_dates|content_ratings|keywords)$/, DAY],
+  [/^\/certification\//,                     7 * DAY],
+  [/\/images$/,                             7 * DAY],
+  [/^\/person\/popular$/,                   2 * HOUR],
+  [/^\/person\/\d+$/,                       DAY],
+  [/^\/collection\/\d+$/,                   DAY],
+  [/^\/tv\/\d+\/season\/\d+$/,               6 * HOUR],
+  [/^\/(tv|movie)\/\d+$/,                    12 * HOUR]
+];
+const CACHE_TTL_DEFAULT = HOUR;
+const ttlFor = (path) => (CACHE_TTLS.find(([re]) => re.test(path)) || [null, CACHE_TTL_DEFAULT])[1];
+
+const cache = new Map();     // key -> { exp, val, size } (size: length of the response text)
+const inflight = new Map();  // key -> Promise
+const cacheStats = { hits: 0, misses: 0, coalesced: 0, errors: 0, evictions: 0, loaded: 0, saved: 0 };
+let cacheBytes = 0;          // sum of entry sizes (close enough to bytes for TMDB's mostly-ASCII JSON)
+
+function cacheDelete(key) {
+  const e = cache.get(key);
+  if (!e) return;
+  cacheBytes -= e.size;
+  cache.delete(key);
+}
+function cacheGet(key) {
+  const e = cache.get(key);
+  if (!e) return undefined;
+  if (e.exp <= Date.now()) { cacheDelete(key); return undefined; }
+  return e.val;
+}
+function cachePut(key, e) {
+  cacheDelete(key); // re-insert so Map order stays oldest-first
+  cache.set(key, e);
+  cacheBytes += e.size;
+  while (cache.size > 1 && (cache.size > CACHE_MAX || cacheBytes > CACHE_MAX_BYTES)) {
+    cacheDelete(cache.keys().next().value);
+    cacheStats.evictions++;
+  }
+}
+function cacheSet(key, val, size, ttl) {
+  cachePut(key, { exp: Date.now() + ttl, val, size: key.length + size });
+  if (ttl >= CACHE_PERSIST_TTL) scheduleCacheSave();
+}
+// load → { val, size }
+async function cached(key, ttl, load) {
+  const hit = cacheGet(key);
+  if (hit !== undefined) { cacheStats.hits++; return hit; }
+  if (inflight.has(key)) { cacheStats.coalesced++; return inflight.get(key); }
+  cacheStats.misses++;
+  const p = load()
+    .then(({ val, size }) => { cacheSet(key, val, size, ttl); return val; })
+    .catch(e => { cacheStats.errors++; throw e; })
+    .finally(() => inflight.delete(key));
+  inflight.set(key, p);
+  return p;
+}
+
+// on-disk stores: JSON arrays of entries, written asynchronously while serving (one write per file at a time)
+// and synchronously on shutdown. Entries are serialised a chunk at a time, the next chunk only once the last one
+// is written, so saving a large store never holds the event loop for long.
+const STORE_CHUNK = 256 * 1024;
+function readJsonFile(file, what) {
+  try { return JSON.parse(readFileSync(file, 'utf8')); }
+  catch (e) { if (e.code !== 'ENOENT') log('warn', `could not read ${what} file`, { file, err: e.message }); return null; }
+}
+function* jsonArrayChunks(entries) {
+  let chunk = '[', n = 0;
+  for (const e of entries) {
+    chunk += (n++ ? ',' : '') + JSON.stringify(e);
+    if (chunk.length >= STORE_CHUNK) { yield chunk; chunk = ''; }
+  }
+  yield `${chunk}]`;
+}
+function writeJsonFile(file, entries, what) {
+  try {
+    const tmp = `${file}.tmp`;
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(tmp, [...jsonArrayChunks(entries)].join(''));
+    renameSync(tmp, file);
+    return true;
+  } catch (e) { log('warn', `could not write ${what} file`, { file, err: e.message }); return false; }
+}
+const fileWrites = new Map(); // file -> Promise of the write in progress
+function writeJsonFileAsync(file, entries, what) {
+  const write = async () => {
+    const tmp = `${file}.tmp`;
+    let fh = null;
+    try {
+      await mkdir(dirname(file), { recursive: true });
+      fh = await open(tmp, 'w');
+      for (const chunk of jsonArrayChunks(entries)) await fh.write(chunk);
+      await fh.close(); fh = null;
+      await rename(tmp, file);
+      return true;
+    } catch (e) { log('warn', `could not write ${what} file`, { file, err: e.message }); return false; }
+    finally { await fh?.close().catch(() => {}); }
+  };
+  const p = (fileWrites.get(file) || Promise.resolve()).then(write);
+  fileWrites.set(file, p);
+  p.finally(() => { if (fileWrites.get(file) === p) fileWrites.delete(file); });
+  return p;
+}
+
+let cacheSaveTimer = null;
+function loadCache() {
+  if (!CACHE_FILE) return;
+  const now = Date.now();
+  for (const [k, e] of readJsonFile(CACHE_FILE, 'TMDB cache') || []) {
+    if (e?.exp > now) { cachePut(k, { exp: e.exp, val: e.val, size: e.size || k.length + JSON.stringify(e.val).length }); cacheStats.loaded++; }
+  }
+}
+// only entries cached for a day or more: cheap to keep, and the ones worth having after a restart. Read lazily
+// while the file is written; entries evicted or expired by then are skipped.
+function* persistedCache() {
+  for (const k of [...cache.keys()]) {
+    const e = cache.get(k);
+    if (e && e.exp > Date.now() && ttlFor(k.split('?')[0]) >= CACHE_PERSIST_TTL) yield [k, { exp: e.exp, size: e.size, val: e.val }];
+  }
+}
+function saveCache() {
+  if (!CACHE_FILE) return;
+  clearTimeout(cacheSaveTimer); cacheSaveTimer = null;
+  if (writeJsonFile(CACHE_FILE, persistedCache(), 'TMDB cache')) cacheStats.saved++;
+}
+function scheduleCacheSave() {
+  if (!CACHE_FILE || cacheSaveTimer) return;
+  cacheSaveTimer = setTimeout(async () => {
+    cacheSaveTimer = null;
+    if (await writeJsonFileAsync(CACHE_FILE, persistedCache(), 'TMDB cache')) cacheStats.saved++;
+  }, 10 * 1000);
+  cacheSaveTimer.unref();
+}
+loadCache();
+
+// ---------- TMDB rate limiting ----------
+// Every network call goes through a global concurrency limit and a token bucket (cache hits skip both).
+// 429s pause all callers for Retry-After (a wait longer than TMDB_MAX_RETRY_AFTER fails the request instead);
+// 429/5xx/network errors are retried with jittered backoff.
+const TMDB_CONCURRENCY = Number(process.env.TMDB_CONCURRENCY || 8);
+const TMDB_RPS         = Number(process.env.TMDB_RPS || 35);
+const TMDB_RETRIES     = Number(process.env.TMDB_RETRIES || 3);
+const TMDB_MAX_RETRY_AFTER = Number(process.env.TMDB_MAX_RETRY_AFTER || 30) * 1000;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+let activeSlots = 0;
+const slotQueue = [];
+const acquireSlot = () => activeSlots < TMDB_CONCURRENCY ? (activeSlots++, Promise.resolve()) : new Promise(r => slotQueue.push(r));
+const releaseSlot = () => { const next = slotQueue.shift(); if (next) next(); else activeSlots--; };
+
+let bucketTokens = TMDB_RPS, bucketRefilled = Date.now(), pausedUntil = 0;
+async function takeToken() {
+  for (;;) {
+    const now = Date.now();
+    if (pausedUntil > now) { await sleep(pausedUntil - now); continue; }
+    bucketTokens = Math.min(TMDB_RPS, bucketTokens + (now - bucketRefilled) * TMDB_RPS / 1000);
+    bucketRefilled = now;
+    if (bucketTokens >= 1) { bucketTokens--; return; }
+    await sleep(Math.ceil((1 - bucketTokens) * 1000 / TMDB_RPS));
+  }
+}
+
+const backoffMs = (attempt) => Math.round(250 + Math.random() * Math.min(8000, 500 * 2 ** attempt));
+function retryAfterMs(res) {
+  const h = res.headers.get('retry-after');
+  if (!h) return null;
+  const secs = Number(h);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(h);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// label is the request without api_key, safe for logs and error messages
+async function tmdbFetch(url, label) {
+  const endpoint = tmdbEndpoint(label.split('?')[0]);
+  for (let attempt = 0; ; attempt++) {
+    let res = null, netErr = null;
+    await acquireSlot();
+    try {
+      await takeToken();
+      const started = process.hrtime.bigint();
+      try { res = await fetch(url); }
+      finally {
+        observe('tmdb_request_duration_seconds', { endpoint }, Number(process.hrtime.bigint() - started) / 1e9);
+        inc('tmdb_requests_total', { endpoint, outcome: res ? String(res.status) : 'network_error' });
+      }
+      if (res.ok) { const text = await res.text(); return { val: JSON.parse(text), size: text.length }; }
+      await res.body?.cancel().catch(() => {}); // unread bodies would hold the connection until GC
+    } catch (e) { netErr = e; }
+    finally { releaseSlot(); }
+
+    const retryAfter = res?.status === 429 ? retryAfterMs(res) : null;
+    const tooLong = retryAfter > TMDB_MAX_RETRY_AFTER;
+    const reason = netErr ? `network error (${netErr.cause?.code || netErr.message})`
+      : `${res.status} ${res.statusText}${tooLong ? ` (Retry-After ${Math.round(retryAfter / 1000)}s)` : ''}`;
+    const retryable = (netErr || res.status === 429 || res.status >= 500) && !tooLong;
+    if (!retryable || attempt >= TMDB_RETRIES) {
+      const err = new Error(`TMDB ${reason} for ${label}${attempt ? ` after ${attempt + 1} attempts` : ''}`);
+      err.status = res?.status || 0;
+      err.endpoint = endpoint;
+      throw err;
+    }
+    let wait = backoffMs(attempt);
+    if (res?.status === 429) {
+      wait = retryAfter ?? wait;
+      pausedUntil = Math.max(pausedUntil, Date.now() + wait);
+    }
+    log('warn', 'tmdb retry', { endpoint, request: label, reason, attempt: attempt + 1, of: TMDB_RETRIES, waitMs: wait });
+    await sleep(wait);
+  }
+}
+// every caught TMDB failure goes through here: counted and logged, then the caller falls back
+function warnTmdb(what, e) {
+  const endpoint = e?.endpoint || 'other';
+  inc('tmdb_failures_total', { endpoint });
+  log('warn', 'tmdb call failed', { what, endpoint, status: e?.status, err: e?.message || String(e) });
+}
 
 // ---------- helpers ----------
 async function tmdb(path, params = {}) {
-  const url = new URL(`https://api.themoviedb.org/3${path}`);
-  url.searchParams.set('api_key', TMDB_KEY);
-  url.searchParams.set('language', 'en-GB');
+  const url = new URL(`${TMDB_API}${path}`);
+  url.searchParams.set('language', DEFAULTS.language);
   for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`${res.status} ${res.statusText} for ${url}`);
-  return res.json();
+  url.searchParams.sort();
+  const key = `${path}?${url.searchParams}`;
+  url.searchParams.set('api_key', TMDB_KEY);
+  return cached(key, ttlFor(path), () => tmdbFetch(url, key));
 }
-const img = (p) => (p ? `${TMDB_IMG_W500}${p}` : undefined);
+const imageSize = (cfg, kind) => (IMAGE_SIZES[cfg?.imageQuality] || IMAGE_SIZES[DEFAULTS.imageQuality])[kind];
+const img = (p, cfg) => (p ? `${TMDB_IMG_BASE}/${imageSize(cfg, 'poster')}${p}` : undefined);
+const bg  = (p, cfg) => (p ? `${TMDB_IMG_BASE}/${imageSize(cfg, 'background')}${p}` : undefined);
+const logoImg = (p, cfg) => (p ? `${TMDB_IMG_BASE}/${imageSize(cfg, 'logo')}${p}` : undefined);
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
 const webSearch = (q) => `https://web.stremio.com/#/search?search=${encodeURIComponent(q)}`;
 const webDetail = (kind, id) => `https://web.stremio.com/#/detail/${kind}/${encodeURIComponent(id)}`;
 
+const validTimeZone = (tz) => { try { return !!tz && !!new Intl.DateTimeFormat('en', { timeZone: tz }); } catch { return false; } };
+
 // Read persistent config from the installed URL's query params
 function cfgFromQuery(q = {}) {
-  const bool = (v, d) => (v === '1' || v === 'true' || v === true) ? true : (v === '0' || v === 'false') ? false : d;
+  // forms send a hidden "0" before each checkbox's "1", so the last value wins
+  const bool = (v, d) => { if (Array.isArray(v)) v = v[v.length - 1]; return (v === '1' || v === 'true' || v === true) ? true : (v === '0' || v === 'false') ? false : d; };
+  const match = (v, re, d) => (typeof v === 'string' && re.test(v.trim())) ? v.trim() : d;
+  const num = (v, min, max) => { const n = Number(v); return (v != null && v !== '' && Number.isFinite(n) && n >= min && n <= max) ? n : null; };
+  const ids = (v) => String(v ?? '').split(/[,|\s]+/).filter(x => /^\d+$/.test(x));
+  const size = (v, d) => PAGE_SIZES.includes(Number(v)) ? Number(v) : d;
   return {
     enableOnAir:       bool(q.onair,   DEFAULTS.enableOnAir),
+    enableAiringToday: bool(q.today,   DEFAULTS.enableAiringToday),
+    enableNextWeek:    bool(q.week,    DEFAULTS.enableNextWeek),
+    enablePremieres:   bool(q.premieres, DEFAULTS.enablePremieres),
+    timezone:          validTimeZone(q.tz) ? q.tz : DEFAULTS.timezone,
     enableRecsTv:      bool(q.recsTv,  DEFAULTS.enableRecsTv),
     enableRecsMovie:   bool(q.recsMov, DEFAULTS.enableRecsMovie),
     enableStreamsRecs: bool(q.streams, DEFAULTS.enableStreamsRecs),
-    compatPopularImdb: bool(q.compat,  DEFAULTS.compatPopularImdb)
+    // a present but empty sRows (form with every row unticked) means none
+    streamRows:        q.sRows === undefined ? [...STREAM_ROWS] : STREAM_ROWS.filter(r => [].concat(q.sRows).join(',').split(',').includes(r)),
+    compatPopularImdb: bool(q.compat,  DEFAULTS.compatPopularImdb),
+    language:          match(q.lang,   /^[a-z]{2}(-[A-Z]{2})?$/, DEFAULTS.language),
+    region:            match(String(q.region ?? '').toUpperCase(), /^[A-Z]{2}$/, DEFAULTS.region),
+    enableDiscover:    bool(q.discover, DEFAULTS.enableDiscover),
+    yearFrom:          num(q.yFrom,    1900, 2100),
+    yearTo:            num(q.yTo,      1900, 2100),
+    minRating:         num(q.minVote,  0, 10),
+    minVotes:          num(q.minVotes, 0, 1e6),
+    originalLanguage:  match(q.origLang, /^[a-z]{2}$/, DEFAULTS.originalLanguage),
+    network:           match(q.network,  /^\d+$/,      DEFAULTS.network),
+    providers:         ids(q.prov),
+    onlyMyProviders:   bool(q.myProv, DEFAULTS.onlyMyProviders),
+    useSimilar:        bool(q.similar, DEFAULTS.useSimilar),
+    enableCandidates:  bool(q.didYouMean, DEFAULTS.enableCandidates),
+    enablePeople:      bool(q.people, DEFAULTS.enablePeople),
+    personSort:        match(q.pSort, /^(popularity|date)$/, DEFAULTS.personSort),
+    enableCollections: bool(q.collections, DEFAULTS.enableCollections),
+    profile:           match(q.profile, /^[A-Za-z0-9_-]{16,64}$/, DEFAULTS.profile),
+    rails:             parseRails(q.rails),
+    pageSize:          size(q.pageSize, DEFAULTS.pageSize),
+    recsPageSize:      size(q.recsSize, DEFAULTS.recsPageSize),
+    season0Size:       size(q.s0Size,   DEFAULTS.season0Size),
+    excludeAdult:      bool(q.noAdult, DEFAULTS.excludeAdult),
+    maxCertMovie:      match(q.certMovie, CERT_RE, DEFAULTS.maxCertMovie),
+    maxCertTv:         match(q.certTv,    CERT_RE, DEFAULTS.maxCertTv),
+    excludeGenres:     ids(q.exGenres),
+    excludeKeywords:   [...new Set(String(q.exKw ?? '').split(',').map(x => x.trim().toLowerCase()).filter(x => x && x.length <= 40))].slice(0, 20),
+    blocklist:         parseBlocklist(q.block),
+    imageQuality:      match(q.img, /^(low|standard|high)$/, DEFAULTS.imageQuality),
+    localPosters:      bool(q.locPosters, DEFAULTS.localPosters),
+    posterOverlay:     bool(q.overlay, DEFAULTS.posterOverlay)
   };
 }
+// language/region params for every localized TMDB lookup
+const locale = (cfg = DEFAULTS) => cfg.region ? { language: cfg.language, region: cfg.region } : { language: cfg.language };
+
+// TMDB returns an empty overview (and the original-language title) when a translation is missing:
+// fill those items from the English record instead.
+const isEnglish = (loc) => !loc?.language || /^en\b/.test(loc.language);
+async function withEnglishFallback(items, tmdbType, loc) {
+  if (isEnglish(loc)) return items;
+  const lang = loc.language.slice(0, 2);
+  return Promise.all(items.map(async (it) => {
+    if (!it || it.overview) return it;
+    try {
+      const en = await tmdb(`/${tmdbType}/${it.id}`, { language: 'en-US' });
+      const out = { ...it, overview: en.overview || '' };
+      if (it.original_language !== lang) {
+        if (tmdbType === 'movie') out.title = en.title || it.title;
+        else out.name = en.name || it.name;
+      }
+      return out;
+    } catch (e) { warnTmdb(`English fallback for ${tmdbType} ${it.id}`, e); return it; }
+  }));
+}
+const withEnglishFallbackOne = async (item, tmdbType, loc) => (await withEnglishFallback([item], tmdbType, loc))[0];
+
+// ---------- ID mapping ----------
+// One tmdb <-> IMDb index for every rail, meta page and stream lookup. It is filled from /external_ids and
+// /find (and anything else that returns both ids) and outlives the TMDB cache: kept in DATA_DIR/id-map.json
+// (or ID_MAP_FILE) and loaded at startup. At most ID_MAP_MAX pairs are kept, the least recently used go first.
+const ID_MAP_FILE = process.env.ID_MAP_FILE ?? join(DATA_DIR, 'id-map.json');
+const ID_MAP_MAX = Number(process.env.ID_MAP_MAX || 200000);
+const tmdbToImdb = new Map(); // 'tv:1399' -> 'tt0944947', least recently used first
+const imdbToTmdb = new Map(); // 'tt0944947' -> { tmdbType: 'tv', tmdbId: 1399 }
+let idMapSaveTimer = null;
+
+function setIds(key, imdb) {
+  const [tmdbType, tmdbId] = key.split(':');
+  tmdbToImdb.delete(key);
+  tmdbToImdb.set(key, imdb);
+  imdbToTmdb.set(imdb, { tmdbType, tmdbId: Number(tmdbId) });
+  while (tmdbToImdb.size > ID_MAP_MAX) {
+    const [oldKey, oldImdb] = tmdbToImdb.entries().next().value;
+    tmdbToImdb.delete(oldKey);
+    const ref = imdbToTmdb.get(oldImdb);
+    if (ref && `${ref.tmdbType}:${ref.tmdbId}` === oldKey) imdbToTmdb.delete(oldImdb);
+  }
+}
+// a hit moves to the most recently used end (not saved until the next change)
+function touchIds(key) {
+  const imdb = tmdbToImdb.get(key);
+  if (imdb) { tmdbToImdb.delete(key); tmdbToImdb.set(key, imdb); }
+  return imdb;
+}
 
-// ---------- TMDB id helpers ----------
-async function imdbForTv(id)    { try { return (await tmdb(`/tv/${id}/external_ids`)).imdb_id || null; } catch { return null; } }
-async function imdbForMovie(id) { try { return (await tmdb(`/movie/${id}/external_ids`)).imdb_id || null; } catch { return null; } }
-async function tmdbFromImdb(imdb) {
+function rememberIds(tmdbType, tmdbId, imdb) {
+  if (!imdb || !/^tt\d+$/.test(imdb)) return;
+  const key = `${tmdbType}:${tmdbId}`;
+  if (tmdbToImdb.get(key) === imdb) return;
+  setIds(key, imdb);
+  if (ID_MAP_FILE && !idMapSaveTimer) {
+    idMapSaveTimer = setTimeout(() => { idMapSaveTimer = null; writeJsonFileAsync(ID_MAP_FILE, [...tmdbToImdb], 'id map'); }, 10 * 1000);
+    idMapSaveTimer.unref();
+  }
+}
+function loadIdMap() {
+  if (!ID_MAP_FILE) return;
+  for (const [key, imdb] of readJsonFile(ID_MAP_FILE, 'id map') || []) setIds(key, imdb);
+}
+function saveIdMap() {
+  if (!ID_MAP_FILE) return;
+  clearTimeout(idMapSaveTimer); idMapSaveTimer = null;
+  writeJsonFile(ID_MAP_FILE, [...tmdbToImdb], 'id map');
+}
+loadIdMap();
+
+async function imdbFor(tmdbType, tmdbId) {
+  const known = touchIds(`${tmdbType}:${tmdbId}`);
+  if (known) return known;
+  try {
+    const imdb = (await tmdb(`/${tmdbType}/${tmdbId}/external_ids`)).imdb_id || null;
+    rememberIds(tmdbType, tmdbId, imdb);
+    return imdb;
+  } catch (e) { warnTmdb(`IMDb id for ${tmdbType} ${tmdbId}`, e); return null; }
+}
+// → { tmdbType, tmdbId } (movies win when /find returns both, as before)
+async function tmdbForImdb(imdb) {
+  const known = imdbToTmdb.get(imdb);
+  if (known) { touchIds(`${known.tmdbType}:${known.tmdbId}`); return known; }
   try {
     const r = await tmdb(`/find/${imdb}`, { external_source: 'imdb_id' });
-    if (r.movie_results?.[0]) return { tmdbType: 'movie', tmdbId: r.movie_results[0].id };
-    if (r.tv_results?.[0])    return { tmdbType: 'tv',    tmdbId: r.tv_results[0].id };
-  } catch {}
-  return null;
+    const hit = r.movie_results?.[0] ? { tmdbType: 'movie', tmdbId: r.movie_results[0].id }
+              : r.tv_results?.[0]    ? { tmdbType: 'tv',    tmdbId: r.tv_results[0].id } : null;
+    if (hit) rememberIds(hit.tmdbType, hit.tmdbId, imdb);
+    return hit;
+  } catch (e) { warnTmdb(`TMDB id for ${imdb}`, e); return null; }
+}
+// ---------- Profiles ----------
+// Saved settings and imported watch histories, keyed by a random token. Installs from a saved profile use
+// /<token>/manifest.json (settings resolved server-side, editable after install at /<token>/configure);
+// query-flag installs keep working and may carry just the history token (?profile=…).
+// Kept in DATA_DIR/profiles.json (or PROFILE_FILE) and loaded at startup. Profiles nobody used for
+// PROFILE_MAX_AGE_DAYS are dropped; with PROFILE_MAX in use, new ones are refused (a profile in use is never
+// evicted to make room, so anonymous saves can't push out installed add-ons).
+const PROFILE_FILE = process.env.PROFILE_FILE ?? join(DATA_DIR, 'profiles.json');
+const PROFILE_MAX = Number(process.env.PROFILE_MAX || 10000);
+const PROFILE_MAX_AGE = Number(process.env.PROFILE_MAX_AGE_DAYS || 180) * DAY;
+const HISTORY_MAX = Number(process.env.HISTORY_MAX || 2000);
+const TOKEN_RE = /^[A-Za-z0-9_-]{16,64}$/;
+// token -> { created, updated, seen, settings?: { <query flag>: value }, history?: [{ tmdbType, tmdbId, date }], unmatched? }
+// in least recently used order; seen is the last day the token was used
+const profiles = new Map();
+let profileSaveTimer = null;
+
+const newToken = () => randomBytes(18).toString('base64url');
+const lastUsed = (p) => Math.max(Date.parse(p.updated) || 0, Date.parse(p.seen || '') || 0);
+function pruneProfiles() {
+  const cutoff = Date.now() - PROFILE_MAX_AGE;
+  for (const [token, p] of profiles) {
+    if (lastUsed(p) >= cutoff) break;
+    profiles.delete(token);
+  }
+}
+// whether token would be a new profile the store has no room for
+function profileRefused(token) {
+  if (profiles.has(token)) return false;
+  pruneProfiles();
+  return profiles.size >= PROFILE_MAX;
+}
+function loadProfiles() {
+  if (!PROFILE_FILE) return;
+  const stored = readJsonFile(PROFILE_FILE, 'profile') || [];
+  for (const [token, p] of stored.sort(([, a], [, b]) => lastUsed(a) - lastUsed(b))) profiles.set(token, p);
+  pruneProfiles();
+}
+function saveProfiles() {
+  if (!PROFILE_FILE) return;
+  clearTimeout(profileSaveTimer); profileSaveTimer = null;
+  writeJsonFile(PROFILE_FILE, [...profiles], 'profile');
+}
+function scheduleProfileSave() {
+  if (!PROFILE_FILE || profileSaveTimer) return;
+  profileSaveTimer = setTimeout(() => { profileSaveTimer = null; writeJsonFileAsync(PROFILE_FILE, [...profiles], 'profile'); }, 2 * 1000);
+  profileSaveTimer.unref();
+}
+function putProfile(token, patch) {
+  const now = new Date().toISOString();
+  const p = { created: now, ...profiles.get(token), ...patch, updated: now };
+  profiles.delete(token);
+  profiles.set(token, p);
+  pruneProfiles();
+  scheduleProfileSave();
+  return p;
+}
+// a profile by token, moved to the most recently used end and marked as used today (saved once a day)
+function getProfile(token) {
+  const p = TOKEN_RE.test(token || '') ? profiles.get(token) : null;
+  if (!p) return null;
+  profiles.delete(token);
+  profiles.set(token, p);
+  const today = new Date().toISOString().slice(0, 10);
+  if (p.seen !== today) { p.seen = today; scheduleProfileSave(); }
+  return p;
+}
+loadProfiles();
+
+// settings of a saved profile, as a cfg (null when the token is unknown or has no saved settings)
+function profileCfg(token) {
+  const p = getProfile(token);
+  return p?.settings ? cfgFromQuery({ ...p.settings, profile: token }) : null;
+}
+
+const getOnAir   = (p, loc) => tmdb('/tv/on_the_air', { ...loc, page: String(p) });
+const getPopTv   = (p, loc) => tmdb('/tv/popular',    { ...loc, page: String(p) });
+const getPopMov  = (p, loc) => tmdb('/movie/popular', { ...loc, page: String(p) });
+
+// ---------- genres & discover ----------
+async function getGenres(tmdbType, loc) {
+  try { return (await tmdb(`/genre/${tmdbType}/list`, { language: loc?.language || DEFAULTS.language })).genres || []; }
+  catch (e) { warnTmdb(`${tmdbType} genre list`, e); return []; }
 }
-const getOnAir   = (p) => tmdb('/tv/on_the_air', { page: String(p) });
-const getPopTv   = (p) => tmdb('/tv/popular',    { page: String(p) });
-const getPopMov  = (p) => tmdb('/movie/popular', { page: String(p) });
+// Stremio sends back the option label; a raw TMDB genre id works too
+async function genreIdFor(tmdbType, genre, loc) {
+  const g = String(genre || '').trim().toLowerCase();
+  if (!g) return null;
+  if (/^\d+$/.test(g)) return g;
+  const hit = (await getGenres(tmdbType, loc)).find(x => x.name.toLowerCase() === g);
+  return hit ? String(hit.id) : null;
+}
+const isoDay = (d) => d.toISOString().slice(0, 10);
+const watchRegion = (cfg) => cfg.region || cfg.language.split('-')[1] || 'US';
+
+// /discover params from the user's filters; airingWeek mirrors /tv/on_the_air (an episode in the next 7 days)
+function discoverParams(tmdbType, cfg, { genreId = null, airingWeek = false } = {}) {
+  const dateKey = tmdbType === 'movie' ? 'primary_release_date' : 'first_air_date';
+  const p = { ...locale(cfg), sort_by: 'popularity.desc', include_adult: 'false' };
+  if (genreId)              p.with_genres = genreId;
+  if (cfg.yearFrom)         p[`${dateKey}.gte`] = `${cfg.yearFrom}-01-01`;
+  if (cfg.yearTo)           p[`${dateKey}.lte`] = `${cfg.yearTo}-12-31`;
+  if (cfg.minRating)        p['vote_average.gte'] = String(cfg.minRating);
+  if (cfg.minVotes)         p['vote_count.gte'] = String(cfg.minVotes);
+  if (cfg.originalLanguage) p.with_original_language = cfg.originalLanguage;
+  if (cfg.network && tmdbType === 'tv') p.with_networks = cfg.network;
+  // content filters TMDB can apply itself (allowedTitles() still checks every title)
+  if (cfg.excludeGenres.length) p.without_genres = cfg.excludeGenres.join(',');
+  if (tmdbType === 'movie' && cfg.maxCertMovie) { p.certification_country = watchRegion(cfg); p['certification.lte'] = cfg.maxCertMovie; }
+  if (cfg.onlyMyProviders && cfg.providers.length) { p.with_watch_providers = cfg.providers.join('|'); p.watch_region = watchRegion(cfg); }
+  if (airingWeek) { const now = new Date(); p['air_date.gte'] = isoDay(now); p['air_date.lte'] = isoDay(new Date(+now + 7 * DAY)); }
+  return p;
+}
+const getDiscover = (tmdbType, params, p) => tmdb(`/discover/${tmdbType}`, { ...params, page: String(p) });
+
+// ---------- watch providers ----------
+// All providers TMDB knows for the user's region (tv + movie), in TMDB's display order — for /configure
+async function getRegionProviders(cfg) {
+  const region = watchRegion(cfg);
+  const lists = await Promise.all(['tv', 'movie'].map(t =>
+    tmdb(`/watch/providers/${t}`, { language: cfg.language, watch_region: region })
+      .then(r => r.results || [])
+      .catch(e => { warnTmdb(`${t} provider list for ${region}`, e); return []; })));
+  const byId = new Map();
+  for (const p of lists.flat()) if (!byId.has(p.provider_id)) byId.set(p.provider_id, p);
+  const prio = (p) => p.display_priorities?.[region] ?? p.display_priority ?? 999;
+  return [...byId.values()].sort((a, b) => prio(a) - prio(b));
+}
+// Where a title can be watched in the user's region: stream = flatrate/free/ads, other = rent/buy
+async function titleProviders(tmdbType, tmdbId, cfg) {
+  const uniq = (arr) => [...new Map(arr.map(p => [p.provider_id, p])).values()];
+  try {
+    const r = (await tmdb(`/${tmdbType}/${tmdbId}/watch/providers`)).results?.[watchRegion(cfg)];
+    if (!r) return { stream: [], other: [] };
+    return { stream: uniq([...(r.flatrate || []), ...(r.free || []), ...(r.ads || [])]), other: uniq([...(r.rent || []), ...(r.buy || [])]) };
+  } catch (e) { warnTmdb(`watch providers for ${tmdbType} ${tmdbId}`, e); return { stream: [], other: [] }; }
+}
+const onMyProviders = (prov, cfg) => prov.stream.some(p => cfg.providers.includes(String(p.provider_id)));
+const providerLine = (prov) => prov.stream.length ? `Streaming on: ${prov.stream.map(p => p.provider_name).join(', ')}` : '';
+async function filterToMyProviders(items, tmdbType, cfg) {
+  if (!cfg.onlyMyProviders || !cfg.providers.length) return items;
+  const provs = await Promise.all(items.map(it => titleProviders(tmdbType, it.id, cfg)));
+  return items.filter((_, i) => onMyProviders(provs[i], cfg));
+}
+
+// ---------- Content filters ----------
+// Family settings applied to every title list before it is windowed: adult titles, excluded genres, a blocklist,
+// excluded keywords (also matched against genre names, so "horror" works) and a maximum certification in the
+// watch region. Certifications and keywords cost one cached lookup per title, so they only run when set.
+const CERT_RE = /^[A-Za-z0-9+\-. ]{1,12}$/;
+
+// "tt0944947, tmdb:movie:603, https://www.themoviedb.org/tv/1399-game-of-thrones" → ['tt0944947', 'movie:603', 'tv:1399']
+function parseBlocklist(v) {
+  const out = [];
+  for (const m of String(v ?? '').matchAll(/\b(tt\d{5,})\b|(?:tmdb:|themoviedb\.org\/)(movie|tv)[:/](\d+)/g)) {
+    const ref = m[1] || `${m[2]}:${m[3]}`;
+    if (!out.includes(ref)) out.push(ref);
+  }
+  return out.slice(0, 200);
+}
+// …and back to something parseBlocklist reads
+const blockRef = (ref) => ref.startsWith('tt') ? ref : `tmdb:${ref}`;
+
+// TMDB's certification ladder for one country, in order ('G', 'PG', 'PG-13', …)
+async function getCertifications(tmdbType, region) {
+  try { return ((await tmdb(`/certification/${tmdbType}/list`)).certifications?.[region] || []).sort((a, b) => a.order - b.order); }
+  catch (e) { warnTmdb(`${tmdbType} certifications`, e); return []; }
+}
+// A title's rating in one country from /release_dates or /content_ratings: '' when unrated, null when TMDB failed
+async function titleCertification(tmdbType, tmdbId, region) {
+  try {
+    if (tmdbType === 'movie') {
+      const r = await tmdb(`/movie/${tmdbId}/release_dates`);
+      return r.results?.find(x => x.iso_3166_1 === region)?.release_dates?.find(d => d.certification)?.certification || '';
+    }
+    return (await tmdb(`/tv/${tmdbId}/content_ratings`)).results?.find(x => x.iso_3166_1 === region)?.rating || '';
+  } catch (e) { warnTmdb(`certification for ${tmdbType} ${tmdbId}`, e); return null; }
+}
+async function titleKeywords(tmdbType, tmdbId) {
+  try { const r = await tmdb(`/${tmdbType}/${tmdbId}/keywords`); return (r.keywords || r.results || []).map(k => k.name.toLowerCase()); }
+  catch (e) { warnTmdb(`keywords for ${tmdbType} ${tmdbId}`, e); return null; }
+}
+async function blockedIds(tmdbType, cfg) {
+  const refs = await Promise.all(cfg.blocklist.map(async (ref) => {
+    if (ref.startsWith('tt')) return tmdbForImdb(ref);
+    const [t, id] = ref.split(':');
+    return { tmdbType: t, tmdbId: id };
+  }));
+  return new Set(refs.filter(r => r?.tmdbType === tmdbType).map(r => String(r.tmdbId)));
+}
+const genreIdsOf = (it) => it.genre_ids || (it.genres || []).map(g => g.id);
+
+// Titles that pass the content filters. With a maximum certification, unrated titles are dropped too; so is
+// anything whose rating or keywords TMDB could not return (fail closed).
+async function allowedTitles(items, tmdbType, cfg) {
+  const excludedGenres = new Set(cfg.excludeGenres.map(Number));
+  const blocked = cfg.blocklist.length ? await blockedIds(tmdbType, cfg) : new Set();
+  const out = items.filter(it => it
+    && !(cfg.excludeAdult && it.adult)
+    && !blocked.has(String(it.id))
+    && !genreIdsOf(it).some(g => excludedGenres.has(g)));
+  const maxCert = tmdbType === 'movie' ? cfg.maxCertMovie : cfg.maxCertTv;
+  const terms = cfg.excludeKeywords;
+  if (!out.length || (!maxCert && !terms.length)) return out;
+
+  const region = watchRegion(cfg);
+  const [ladder, genreNames] = await Promise.all([
+    maxCert ? getCertifications(tmdbType, region) : [],
+    terms.length ? Promise.all([genreMap(tmdbType, { language: 'en-US' }), genreMap(tmdbType, locale(cfg))]) : []
+  ]);
+  const rank = new Map(ladder.map(c => [c.certification, c.order]));
+  const limit = rank.get(maxCert); // a maximum the region doesn't know (region changed since) is ignored
+  const ok = await Promise.all(out.map(async (it) => {
+    if (limit != null) {
+      const cert = await titleCertification(tmdbType, it.id, region);
+      if (!rank.has(cert) || rank.get(cert) > limit) return false;
+    }
+    if (terms.length) {
+      const keywords = await titleKeywords(tmdbType, it.id);
+      if (!keywords) return false;
+      const genres = genreIdsOf(it).flatMap(g => genreNames.map(m => (m.get(g) || '').toLowerCase()));
+      if ([...keywords, ...genres].some(n => terms.includes(n))) return false;
+    }
+    return true;
+  }));
+  return out.filter((_, i) => ok[i]);
+}
+// a paged TMDB list (for pagedWindow() / tvDetailsFromList()) with the content filters applied to every page
+const allowedPages = (getPage, tmdbType, cfg) => async (p) => {
+  const data = await getPage(p);
+  return { ...data, results: await allowedTitles(data.results || [], tmdbType, cfg) };
+};
+
+// ---------- search resolution ----------
+const normTitle = (s) => String(s || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/&/g, ' and ').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+// "Dune 1984" / "Dune (1984)" → { title: 'Dune', year: 1984 }
+function parseYearHint(query) {
+  const m = query.match(/^(.*?)[\s([]+((?:18|19|20)\d{2})[)\]]?$/);
+  return m && m[1].trim() ? { title: m[1].trim(), year: Number(m[2]) } : { title: query, year: null };
+}
+
+// Movie + TV search hits scored by exact title match, year hint, requested type and popularity.
+// The query is searched as typed and, with a year hint, as title + year ("Blade Runner 2049" stays findable).
+async function searchCandidates(query, loc, wantType = null) {
+  const hint = parseYearHint(query);
+  const searches = [['movie', { query }], ['tv', { query }]];
+  if (hint.year) searches.push(['movie', { query: hint.title, year: String(hint.year) }], ['tv', { query: hint.title, first_air_date_year: String(hint.year) }]);
+  const lists = await Promise.all(searches.map(([t, params]) =>
+    tmdb(`/search/${t}`, { ...loc, ...params })
+      .then(r => (r.results || []).slice(0, 10).map(item => ({ tmdbType: t, item })))
+      .catch(e => { warnTmdb(`${t} search for "${params.query}"`, e); return []; })));
 
-async function resolveQueryToTmdb(q) {
+  const byKey = new Map();
+  for (const c of lists.flat()) if (!byKey.has(`${c.tmdbType}:${c.item.id}`)) byKey.set(`${c.tmdbType}:${c.item.id}`, c);
+  const wanted = new Set([normTitle(query), normTitle(hint.title)]);
+  return [...byKey.values()].map(({ tmdbType, item }) => {
+    const titles = [item.title, item.original_title, item.name, item.original_name].filter(Boolean).map(normTitle);
+    const year = Number((item.release_date || item.first_air_date || '').slice(0, 4)) || null;
+    let score = Math.log10(1 + Number(item.popularity || 0)) + 0.25 * Math.log10(1 + Number(item.vote_count || 0));
+    if (titles.some(t => wanted.has(t))) score += 3;
+    if (hint.year && year) score += year === hint.year ? 2 : Math.abs(year - hint.year) === 1 ? 1 : -1;
+    if (wantType && tmdbType === wantType) score += 2;
+    return { tmdbType, tmdbId: item.id, item, score };
+  }).sort((a, b) => b.score - a.score);
+}
+const AMBIGUITY_MARGIN = 1;
+const isAmbiguous = (cands) => cands.length > 1 && cands[0].score - cands[1].score < AMBIGUITY_MARGIN;
+
+// wantType ('movie' | 'tv') picks the best match of that type instead of dropping a query whose top hit is the other type
+async function resolveQueryToTmdb(q, loc, wantType = null) {
   const query = (q || '').trim();
   if (!query) return null;
-  if (/^tt\d+$/i.test(query)) {
-    const r = await tmdb(`/find/${query}`, { external_source: 'imdb_id' });
-    if (r.movie_results?.[0]) return { tmdbType: 'movie', tmdbId: r.movie_results[0].id };
-    if (r.tv_results?.[0])    return { tmdbType: 'tv',    tmdbId: r.tv_results[0].id };
-    return null;
-  }
-  const m = await tmdb('/search/movie', { query });
-  const t = await tmdb('/search/tv',    { query });
-  const mTop = m.results?.[0], tTop = t.results?.[0];
-  if (mTop && tTop) return (Number(mTop.popularity||0) >= Number(tTop.popularity||0)) ? { tmdbType:'movie', tmdbId:mTop.id } : { tmdbType:'tv', tmdbId:tTop.id };
-  if (mTop) return { tmdbType:'movie', tmdbId:mTop.id };
-  if (tTop) return { tmdbType:'tv',    tmdbId:tTop.id };
-  return null;
+  if (/^tt\d+$/i.test(query)) return tmdbForImdb(query.toLowerCase());
+  const cands = await searchCandidates(query, loc, wantType);
+  const best = wantType ? cands.find(c => c.tmdbType === wantType) : cands[0];
+  return best ? { tmdbType: best.tmdbType, tmdbId: best.tmdbId } : null;
 }
-async function getRecs({ tmdbType, tmdbId, page = 1 }) {
+async function getRecs({ tmdbType, tmdbId, page = 1, loc }) {
   const path = tmdbType === 'movie' ? `/movie/${tmdbId}/recommendations` : `/tv/${tmdbId}/recommendations`;
-  return tmdb(path, { page: String(page) });
+  return tmdb(path, { ...loc, page: String(page) });
 }
+const getSimilar = ({ tmdbType, tmdbId, page = 1, loc }) => tmdb(`/${tmdbType}/${tmdbId}/similar`, { ...loc, page: String(page) });
 
-// NEW: TV-friendly search query (Title + Year) for APP deep links
-async function titleQueryForImdb(imdbId) {
-  try {
-    const found = await tmdb(`/find/${imdbId}`, { external_source: 'imdb_id' });
-    if (found.movie_results?.[0]) {
-      const m = found.movie_results[0];
-      const y = (m.release_date || '').slice(0, 4);
-      return `${m.title || m.original_title}${y ? ` ${y}` : ''}`.trim();
+// Search text for the recs rails: several seeds, comma/semicolon/pipe separated (titles or IMDb ids)
+const splitSeeds = (q) => String(q || '').split(/[,;|]/).map(x => x.trim()).filter(Boolean).slice(0, 10);
+
+// One ranked list from several seeds: titles recommended by more seeds come first, then by summed
+// rank weight (1 at the top of a seed's list, falling towards 0). /similar hits add half weight
+// but never count as a recommending seed. Seeds and `exclude` ids never appear in the result.
+// Returns [{ item, seeds: Set<tmdbId>, score }].
+async function blendRecs(seeds, tmdbType, cfg, { pagesPerSeed = 2, similarPages = 2, exclude = null } = {}) {
+  const loc = locale(cfg);
+  const collect = async (getPage, pages) => {
+    const out = [], seen = new Set();
+    for (let page = 1; page <= pages; page++) {
+      const r = await getPage(page);
+      for (const it of r.results || []) if (!seen.has(it.id)) { seen.add(it.id); out.push(it); }
+      if (page >= (r.total_pages || page)) break;
     }
-    if (found.tv_results?.[0]) {
-      const t = found.tv_results[0];
-      const y = (t.first_air_date || '').slice(0, 4);
-      return `${t.name || t.original_name}${y ? ` ${y}` : ''}`.trim();
+    return out;
+  };
+  const lists = await Promise.all(seeds.map(seed => Promise.all([
+    collect((page) => getRecs({ ...seed, page, loc }), pagesPerSeed),
+    cfg.useSimilar
+      ? collect((page) => getSimilar({ ...seed, page, loc }), similarPages).catch(e => { warnTmdb(`similar for ${tmdbType} ${seed.tmdbId}`, e); return []; })
+      : []
+  ])));
+
+  const seedIds = new Set([...seeds.map(x => String(x.tmdbId)), ...(exclude || [])].map(String));
+  const byId = new Map();
+  const add = (item, seed, weight, recommended) => {
+    if (seedIds.has(String(item.id))) return;
+    let e = byId.get(item.id);
+    if (!e) byId.set(item.id, e = { item, seeds: new Set(), score: 0 });
+    if (recommended) e.seeds.add(seed.tmdbId);
+    e.score += weight;
+  };
+  seeds.forEach((seed, i) => {
+    const [recs, similar] = lists[i];
+    recs.forEach((it, rank) => add(it, seed, 1 - rank / (recs.length + 1), true));
+    similar.forEach((it, rank) => add(it, seed, 0.5 * (1 - rank / (similar.length + 1)), false));
+  });
+  return [...byId.values()].sort((a, b) =>
+    b.seeds.size - a.seeds.size || b.score - a.score || (b.item.popularity || 0) - (a.item.popularity || 0));
+}
+
+// ---------- airing calendar ----------
+// TMDB air dates are plain days (no time of day), so "today" is taken in the user's timezone and compared day-to-day.
+const dayInTz = (tz, offsetDays = 0) => new Intl.DateTimeFormat('en-CA', { timeZone: tz }).format(new Date(Date.now() + offsetDays * DAY));
+const getAiringToday = (p, loc, tz) => tmdb('/tv/airing_today', { ...loc, timezone: tz, page: String(p) });
+const CALENDAR_SOURCE_PAGES = 5;
+
+const epCode = (ep) => `S${String(ep.season_number).padStart(2, '0')}E${String(ep.episode_number).padStart(2, '0')}`;
+function episodeAirLabel(ep, cfg) {
+  if (!ep?.air_date) return '';
+  const date = new Intl.DateTimeFormat(cfg.language, { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' })
+    .format(new Date(`${ep.air_date}T00:00:00Z`));
+  const diff = Math.round((Date.parse(ep.air_date) - Date.parse(dayInTz(cfg.timezone))) / DAY);
+  const rel = diff === 0 ? 'today' : diff === 1 ? 'tomorrow' : diff > 1 ? `in ${diff} days` : `${-diff} days ago`;
+  return `${epCode(ep)} · ${date} (${rel})`;
+}
+
+// Details (with next_episode_to_air) for the first pages of a TV list, de-duplicated by id
+async function tvDetailsFromList(getPage, loc) {
+  const shows = new Map();
+  for (let p = 1; p <= CALENDAR_SOURCE_PAGES; p++) {
+    const data = await getPage(p);
+    for (const tv of data.results || []) if (!shows.has(tv.id)) shows.set(tv.id, tv);
+    if (p >= (data.total_pages || p)) break;
+  }
+  const details = await Promise.all([...shows.keys()].map(id =>
+    tmdb(`/tv/${id}`, loc).catch(e => { warnTmdb(`details for tv ${id}`, e); return null; })));
+  return details.filter(Boolean);
+}
+const byNextAirDate = (a, b) => a.next_episode_to_air.air_date.localeCompare(b.next_episode_to_air.air_date) || (b.popularity || 0) - (a.popularity || 0);
+
+// Regular seasons of a show as Stremio videos. TMDB's own season 0 (specials) is skipped:
+// Season 0 on our meta pages holds the recommendations.
+async function tvEpisodeVideos(tmdbId, details, loc, cfg) {
+  const now = Date.now();
+  const seasons = (details.seasons || []).filter(s => s.season_number > 0);
+  const lists = await Promise.all(seasons.map(s =>
+    tmdb(`/tv/${tmdbId}/season/${s.season_number}`, loc)
+      .catch(e => { warnTmdb(`season ${s.season_number} of tv ${tmdbId}`, e); return { episodes: [] }; })));
+  return lists.flatMap(l => (l.episodes || []).map(ep => {
+    const airs = ep.air_date ? Date.parse(`${ep.air_date}T00:00:00Z`) : NaN;
+    const known = !Number.isNaN(airs);
+    return {
+      id: `tmdb:tv:${tmdbId}:${ep.season_number}:${ep.episode_number}`,
+      season: ep.season_number,
+      episode: ep.episode_number,
+      title: ep.name || `Episode ${ep.episode_number}`,
+      released: known ? new Date(airs).toISOString() : undefined,
+      available: known && airs <= now, // upcoming / TBA episodes drive Stremio's calendar & new-episode badges
+      overview: ep.overview || '',
+      thumbnail: img(ep.still_path, cfg)
+    };
+  }));
+}
+
+// ---------- meta builder ----------
+// Every rail and meta page builds its Stremio metas here, from list items and /{type}/{id} details alike.
+const kindOf  = (tmdbType) => tmdbType === 'movie' ? 'movie' : 'series';
+const titleOf = (it) => (it.title || it.name || it.original_title || it.original_name || '').trim();
+const yearOf  = (it) => (it.release_date || it.first_air_date || '').slice(0, 4);
+// "2008–2013" for ended shows, "2019–" for running ones, plain year otherwise
+const releaseInfoOf = (it) => {
+  const from = yearOf(it);
+  if (!it.first_air_date || !('in_production' in it)) return from;
+  const to = it.in_production ? '' : (it.last_air_date || '').slice(0, 4);
+  return to && to !== from ? `${from}–${to}` : (it.in_production ? `${from}–` : from);
+};
+// Season-0 style video id: opening it gets the APP/WEB "Open details" / "See more recs" rows
+const recsVideoId = (tmdbType, tmdbId, imdb) => `recs:${kindOf(tmdbType)}:${imdb ? `tt:${imdb}` : `tmdb-${tmdbId}`}`;
+// TV-friendly search query (Title + Year) for APP deep links
+const titleQuery = (it) => { const y = yearOf(it); return `${titleOf(it)}${y ? ` ${y}` : ''}`.trim(); };
+
+async function genreMap(tmdbType, loc) { return new Map((await getGenres(tmdbType, loc)).map(g => [g.id, g.name])); }
+
+// Stremio deeplink into one of our own catalogs (needs the installed manifest URL, see addonContext())
+const catalogLink = (cfg, kind, catalogId, extra) =>
+  cfg.manifestUrl ? `stremio:///discover/${encodeURIComponent(cfg.manifestUrl)}/${kind}/${catalogId}?${new URLSearchParams(extra)}` : null;
+
+// Full title record for meta pages: one /{type}/{id} call with everything appended
+const DETAIL_APPENDS = {
+  movie: 'credits,videos,external_ids,release_dates,keywords,images',
+  tv:    'aggregate_credits,credits,videos,external_ids,content_ratings,keywords,images'
+};
+async function getFullDetails(tmdbType, tmdbId, loc) {
+  const lang = (loc.language || 'en').slice(0, 2);
+  const details = await tmdb(`/${tmdbType}/${tmdbId}`, {
+    ...loc,
+    append_to_response: DETAIL_APPENDS[tmdbType],
+    include_image_language: `${lang},en,null`,
+    include_video_language: `${lang},en`
+  });
+  rememberIds(tmdbType, details.id, details.external_ids?.imdb_id);
+  return withEnglishFallbackOne(details, tmdbType, loc);
+}
+
+// Age rating for the configured region (US as the fallback), e.g. "TV-MA" or "15"
+function certificationOf(it, cfg) {
+  const regions = [watchRegion(cfg), 'US'];
+  if (it.content_ratings) {
+    for (const r of regions) { const c = it.content_ratings.results?.find(x => x.iso_3166_1 === r)?.rating; if (c) return c; }
+  }
+  if (it.release_dates) {
+    for (const r of regions) {
+      const c = it.release_dates.results?.find(x => x.iso_3166_1 === r)?.release_dates?.find(d => d.certification)?.certification;
+      if (c) return c;
+    }
+  }
+  return '';
+}
+
+const searchLink = (q) => `stremio:///search?search=${encodeURIComponent(q)}`;
+// people open their tmdb:person page (see the People section), or a plain search when TMDB has no id
+const personLink = (p) => p.id ? `stremio:///detail/series/tmdb:person:${p.id}` : searchLink(p.name);
+const uniqBy = (xs, key) => xs.filter((x, i) => x && xs.findIndex(y => y && key(y) === key(x)) === i);
+
+// cast / director / writer ({ id, name }) out of credits (TV: aggregate_credits first, creators count as directors)
+function peopleOf(it) {
+  const byName = (c) => c.name;
+  const cast = (it.aggregate_credits?.cast || it.credits?.cast || []).slice(0, 10);
+  const crew = it.credits?.crew || [];
+  const director = uniqBy([...(it.created_by || []), ...crew.filter(c => c.job === 'Director')], byName).slice(0, 5);
+  const writer = uniqBy(crew.filter(c => c.department === 'Writing'), byName).slice(0, 5);
+  return { cast: uniqBy(cast, byName), director, writer };
+}
+
+function buildMeta(it, tmdbType, { id = null, imdb = null, genres = null, description, cfg = DEFAULTS } = {}) {
+  const kind = kindOf(tmdbType);
+  const genreNames = it.genres ? it.genres.map(g => g.name) : (it.genre_ids || []).map(g => genres?.get(g)).filter(Boolean);
+  const runtime = it.runtime || it.episode_run_time?.[0] || it.last_episode_to_air?.runtime;
+  const trailers = (it.videos?.results || [])
+    .filter(v => v.site === 'YouTube' && v.type === 'Trailer')
+    .map(v => ({ source: v.key, type: 'Trailer' }));
+  const discoverId = kind === 'movie' ? 'tmdb-discover-movies' : 'tmdb-discover-series';
+  const { cast, director, writer } = peopleOf(it);
+  imdb = imdb || it.external_ids?.imdb_id || it.imdb_id || null;
+  const rating = it.vote_count ? Number(it.vote_average || 0).toFixed(1) : undefined;
+  const certification = certificationOf(it, cfg);
+  const keywords = (it.keywords?.keywords || it.keywords?.results || []).slice(0, 10).map(k => k.name);
+  const links = [
+    ...genreNames.map(g => ({ name: g, category: 'Genres', url: catalogLink(cfg, kind, discoverId, { genre: g }) })),
+    ...cast.map(p => ({ name: p.name, category: 'Cast', url: personLink(p) })),
+    ...director.map(p => ({ name: p.name, category: 'Directors', url: personLink(p) })),
+    ...writer.map(p => ({ name: p.name, category: 'Writers', url: personLink(p) })),
+    ...keywords.map(n => ({ name: n, category: 'Keywords', url: searchLink(n) })),
+    // the score is TMDB's (vote_average), so it links to TMDB; IMDb gets a plain link
+    ...(rating ? [{ name: rating, category: 'TMDB', url: `https://www.themoviedb.org/${tmdbType}/${it.id}` }] : []),
+    ...(imdb ? [{ name: 'IMDb', category: 'imdb', url: `https://www.imdb.com/title/${imdb}/` }] : [])
+  ].filter(l => l.url);
+  const logo = (it.images?.logos || [])[0]?.file_path;
+  const posterPath = (cfg.localPosters && posterInLanguage(it.images?.posters, cfg)) || it.poster_path;
+  return {
+    id: id || imdb || `tmdb:${tmdbType}:${it.id}`,
+    type: kind,
+    name: titleOf(it),
+    poster: titlePoster({ ...it, poster_path: posterPath }, tmdbType, cfg),
+    posterShape: 'poster',
+    background: bg(it.backdrop_path, cfg),
+    logo: logoImg(logo, cfg),
+    description: description ?? [certification ? `Rated ${certification}` : '', it.tagline, it.overview].filter(Boolean).join('\n\n'),
+    releaseInfo: releaseInfoOf(it),
+    released: (it.release_date || it.first_air_date) ? new Date(it.release_date || it.first_air_date).toISOString() : undefined,
+    genres: genreNames.length ? genreNames : undefined,
+    cast: cast.length ? cast.map(p => p.name) : undefined,
+    director: director.length ? director.map(p => p.name) : undefined,
+    writer: writer.length ? writer.map(p => p.name) : undefined,
+    runtime: runtime ? `${runtime} min` : undefined,
+    trailers: trailers.length ? trailers : undefined,
+    links: links.length ? links : undefined,
+    website: it.homepage || undefined
+  };
+}
+
+// Localize, resolve ids and build metas for a window of list items.
+// useImdb: IMDb ids (tmdb: fallback) open Cinemeta-backed pages; tmdb: ids open our own meta page.
+async function toMetas(items, tmdbType, cfg, { useImdb = false, describe = null } = {}) {
+  const loc = locale(cfg);
+  const localized = await withEnglishFallback(items, tmdbType, loc);
+  const [genres, imdbIds, posters] = await Promise.all([
+    genreMap(tmdbType, loc),
+    useImdb ? Promise.all(localized.map(it => imdbFor(tmdbType, it.id))) : [],
+    cfg.localPosters ? Promise.all(localized.map(it => localPosterPath(tmdbType, it.id, cfg))) : []
+  ]);
+  return localized.map((it, i) => buildMeta(posters[i] ? { ...it, poster_path: posters[i] } : it, tmdbType, {
+    imdb: imdbIds[i] || null, genres, cfg, description: describe ? describe(it, i) : undefined
+  }));
+}
+
+// Items [skip, skip + count) of a paged TMDB list, de-duplicated by id. TMDB lists shift while they are
+// paged (a title moving up a page shows up on both), so every window is cut from the same de-duplicated
+// prefix: later windows re-read pages 1…n from the cache, and consecutive skips neither overlap nor leave gaps.
+// keep filters items before windowing, so skip only counts what clients were actually sent.
+// Page 1 gives total_pages; the pages still missing are then read in concurrent batches of at most
+// PAGED_BATCH_MAX (through the TMDB limiter), sized from the share of titles that passed so far (at least
+// PAGED_MIN_PASS). A window reads at most PAGED_EXTRA_PAGES pages past the ones it would need unfiltered and
+// returns what it found by then, so a filter that rejects nearly everything can't walk the whole list.
+// Windows past RAIL_MAX_ITEMS are empty.
+const TMDB_MAX_PAGE = 500;
+const TMDB_PAGE_SIZE = 20;
+const RAIL_MAX_ITEMS = Number(process.env.RAIL_MAX_ITEMS || 1000);
+const PAGED_BATCH_MAX = 10;
+const PAGED_MIN_PASS = 0.25;
+const PAGED_EXTRA_PAGES = 5;
+async function pagedWindow(getPage, skip, count, { keep = null } = {}) {
+  count = Math.min(count, RAIL_MAX_ITEMS - skip);
+  if (count <= 0) return [];
+  const seen = new Set();
+  const items = [];
+  const add = (data) => {
+    for (const it of data.results || []) {
+      if (seen.has(it.id)) continue;
+      seen.add(it.id);
+      if (!keep || keep(it)) items.push(it);
+    }
+  };
+  const want = skip + count;
+  const first = await getPage(1);
+  add(first);
+  const last = Math.min(TMDB_MAX_PAGE, first.total_pages || 1, Math.ceil(want / TMDB_PAGE_SIZE) + PAGED_EXTRA_PAGES);
+  for (let p = 2; p <= last && items.length < want; ) {
+    const pass = Math.max(PAGED_MIN_PASS, items.length / ((p - 1) * TMDB_PAGE_SIZE));
+    const n = Math.min(last - p + 1, PAGED_BATCH_MAX, Math.ceil((want - items.length) / (pass * TMDB_PAGE_SIZE)));
+    const pages = await Promise.all(Array.from({ length: n }, (_, i) => getPage(p + i)));
+    pages.forEach(add);
+    p += n;
+  }
+  return items.slice(skip, skip + count);
+}
+
+// ---------- Posters ----------
+// Title posters: language-aware picks from /images, and the /poster/<id>.jpg route (see the Express section),
+// which renders a placeholder for titles without a poster and, when enabled, an overlay with the TMDB score and
+// a "new episode" badge. Rendering uses the optional sharp package; without it overlays fall back to the plain
+// TMDB poster and placeholders are served as SVG.
+const POSTER_TTL = 6 * HOUR;
+const POSTER_CACHE_MAX = 500;
+const NEW_EPISODE_DAYS = 7;
+const POSTER_WIDTHS = { w185: 185, w500: 500, w780: 780, original: 1000 }; // placeholders, per IMAGE_SIZES poster size
+const posterCache = new Map(); // key -> { exp, val }
+
+// best-voted poster in the configured language out of an /images list (null when there is none)
+function posterInLanguage(posters, cfg) {
+  const lang = (cfg.language || DEFAULTS.language).slice(0, 2);
+  return (posters || []).filter(p => p.iso_639_1 === lang)
+    .sort((a, b) => (b.vote_average - a.vote_average) || (b.vote_count - a.vote_count))[0]?.file_path || null;
+}
+async function localPosterPath(tmdbType, tmdbId, cfg) {
+  try {
+    const images = await tmdb(`/${tmdbType}/${tmdbId}/images`, { language: cfg.language, include_image_language: cfg.language.slice(0, 2) });
+    return posterInLanguage(images.posters, cfg);
+  } catch (e) { warnTmdb(`images for ${tmdbType} ${tmdbId}`, e); return null; }
+}
+
+const imageQuality = (cfg) => (IMAGE_SIZES[cfg.imageQuality] ? cfg.imageQuality : DEFAULTS.imageQuality);
+// Our /poster route when it draws something (an overlay, or a placeholder for a title without a poster) and
+// the add-on's public URL is known (see addonContext()); the TMDB image otherwise
+function titlePoster(it, tmdbType, cfg) {
+  if (!cfg.baseUrl || (it.poster_path && !cfg.posterOverlay)) return img(it.poster_path, cfg);
+  const params = new URLSearchParams({ img: imageQuality(cfg), lang: cfg.language || DEFAULTS.language });
+  if (cfg.localPosters) params.set('locPosters', '1');
+  if (cfg.posterOverlay) params.set('overlay', '1');
+  return `${cfg.baseUrl}/poster/tmdb:${tmdbType}:${it.id}.jpg?${params}`;
+}
+// thumbnail of a title listed as a video (Season 0, person credits, collections): the TMDB image, or the
+// placeholder when TMDB has none
+const titleThumbnail = (it, tmdbType, cfg, path = it.poster_path) =>
+  path ? img(path, cfg) : titlePoster({ ...it, poster_path: null }, tmdbType, cfg);
+
+let sharpLoading = null;
+// sharp is an optional dependency: imported on first use, null when it isn't installed or POSTER_SHARP=0
+function loadSharp() {
+  if (process.env.POSTER_SHARP === '0') return Promise.resolve(null);
+  sharpLoading ??= import('sharp').then(m => m.default).catch(() => {
+    log('warn', 'sharp is not installed: poster overlays fall back to plain TMDB posters, placeholders to SVG');
+    return null;
+  });
+  return sharpLoading;
+}
+
+// what the overlay shows: TMDB score (when anyone voted) and whether an episode aired in the last week
+function posterBadges(details, tmdbType) {
+  const score = details.vote_count ? Number(details.vote_average || 0).toFixed(1) : null;
+  const aired = tmdbType === 'tv' && details.last_episode_to_air?.air_date;
+  const age = aired ? (Date.parse(dayInTz('UTC')) - Date.parse(aired)) / DAY : NaN;
+  return { score, newEpisode: age >= 0 && age < NEW_EPISODE_DAYS };
+}
+
+// Overlay and placeholder are drawn on a 500×750 canvas and scaled to the poster
+function badgeSvg({ score, newEpisode }) {
+  const parts = [];
+  if (newEpisode) {
+    parts.push('<rect x="0" y="0" width="500" height="64" fill="#e50914"/>',
+      '<text x="250" y="43" text-anchor="middle" font-family="sans-serif" font-size="30" font-weight="700" fill="#fff" letter-spacing="3">NEW EPISODE</text>');
+  }
+  if (score) {
+    const color = score >= 7 ? '#21d07a' : score >= 5 ? '#d2d531' : '#db2360';
+    parts.push(`<rect x="20" y="662" width="200" height="68" rx="14" fill="#081c22" fill-opacity="0.85" stroke="${color}" stroke-width="4"/>`,
+      `<text x="120" y="707" text-anchor="middle" font-family="sans-serif" font-size="32" font-weight="700" fill="#fff">TMDB <tspan fill="${color}">${score}</tspan></text>`);
+  }
+  return parts.join('');
+}
+const posterSvg = (width, height, body) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 500 750" preserveAspectRatio="none">${body}</svg>`;
+
+function wrapWords(text, max) {
+  const lines = [];
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const last = lines[lines.length - 1];
+    if (last && `${last} ${word}`.length <= max) lines[lines.length - 1] = `${last} ${word}`;
+    else lines.push(word.length > max ? `${word.slice(0, max - 1)}…` : word);
+  }
+  return lines.length > 5 ? [...lines.slice(0, 4), `${lines[4]}…`] : lines;
+}
+function placeholderSvg(details, tmdbType, badges, width) {
+  const lines = wrapWords(titleOf(details) || 'Untitled', 16);
+  const top = 375 - lines.length * 25;
+  const year = yearOf(details);
+  return posterSvg(width, Math.round(width * 1.5), [
+    '<defs><linearGradient id="g" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="#1f2a44"/><stop offset="1" stop-color="#0d1117"/></linearGradient></defs>',
+    '<rect width="500" height="750" fill="url(#g)"/>',
+    `<text x="250" y="120" text-anchor="middle" font-family="sans-serif" font-size="24" fill="#8b949e" letter-spacing="4">${tmdbType === 'tv' ? 'SERIES' : 'MOVIE'}</text>`,
+    ...lines.map((l, i) => `<text x="250" y="${top + i * 50}" text-anchor="middle" font-family="sans-serif" font-size="42" font-weight="700" fill="#e6edf3">${escapeHtml(l)}</text>`),
+    year ? `<text x="250" y="${top + lines.length * 50 + 20}" text-anchor="middle" font-family="sans-serif" font-size="30" fill="#8b949e">${year}</text>` : '',
+    badgeSvg(badges)
+  ].join(''));
+}
+
+// → { redirect } for a plain TMDB poster, or { type, body } for one we drew
+async function posterFor(tmdbType, tmdbId, cfg) {
+  const loc = locale(cfg);
+  const details = await withEnglishFallbackOne(await tmdb(`/${tmdbType}/${tmdbId}`, loc), tmdbType, loc);
+  const path = (cfg.localPosters && await localPosterPath(tmdbType, tmdbId, cfg)) || details.poster_path;
+  if (path && !cfg.posterOverlay) return { redirect: img(path, cfg) };
+  const badges = cfg.posterOverlay ? posterBadges(details, tmdbType) : {};
+  const key = JSON.stringify([tmdbType, tmdbId, imageQuality(cfg), path || titleOf(details), badges]);
+  const hit = posterCache.get(key);
+  if (hit && hit.exp > Date.now()) { inc('poster_renders_total', { outcome: 'cached' }); return hit.val; }
+
+  const sharp = await loadSharp();
+  let val;
+  if (!path) {
+    const svg = placeholderSvg(details, tmdbType, badges, POSTER_WIDTHS[imageSize(cfg, 'poster')] || 500);
+    val = sharp ? { type: 'image/jpeg', body: await sharp(Buffer.from(svg)).jpeg({ quality: 85 }).toBuffer() } : { type: 'image/svg+xml', body: svg };
+    inc('poster_renders_total', { outcome: 'placeholder' });
+  } else {
+    if (!sharp) return { redirect: img(path, cfg) };
+    try {
+      const r = await fetch(img(path, cfg), { signal: AbortSignal.timeout(10000) });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      const poster = sharp(Buffer.from(await r.arrayBuffer()));
+      const { width, height } = await poster.metadata();
+      const body = await poster.composite([{ input: Buffer.from(posterSvg(width, height, badgeSvg(badges))) }]).jpeg({ quality: 85 }).toBuffer();
+      val = { type: 'image/jpeg', body };
+      inc('poster_renders_total', { outcome: 'overlay' });
+    } catch (e) {
+      log('warn', 'poster overlay failed', { poster: path, err: e.message });
+      inc('poster_renders_total', { outcome: 'fallback' });
+      return { redirect: img(path, cfg) };
     }
-  } catch {}
-  return null;
+  }
+  posterCache.delete(key);
+  posterCache.set(key, { exp: Date.now() + POSTER_TTL, val });
+  if (posterCache.size > POSTER_CACHE_MAX) posterCache.delete(posterCache.keys().next().value);
+  return val;
+}
+
+// ---------- People ----------
+// People catalog rows and tmdb:person pages. A person page is a "series" whose seasons hold their TV and movie
+// credits; each credit is a recs:<kind>:… video, so opening it gets the same APP/WEB rows as Season-0 entries.
+const getPopularPeople = (p, loc) => tmdb('/person/popular', { ...loc, page: String(p) });
+const searchPeople = (query, p, loc) => tmdb('/search/person', { ...loc, query, page: String(p), include_adult: 'false' });
+
+function personCatalogMeta(person, cfg) {
+  const knownFor = (person.known_for || []).map(titleOf).filter(Boolean).slice(0, 3);
+  return {
+    id: `tmdb:person:${person.id}`,
+    type: 'series',
+    name: person.name,
+    poster: img(person.profile_path, cfg),
+    posterShape: 'poster',
+    description: [person.known_for_department, knownFor.length ? `Known for ${knownFor.join(', ')}` : ''].filter(Boolean).join(' · ')
+  };
+}
+
+// one entry per title, roles merged ("Walter White", "Director, Writer")
+function personCredits(credits) {
+  const byTitle = new Map();
+  for (const c of [...(credits?.cast || []), ...(credits?.crew || [])]) {
+    if (c.media_type !== 'movie' && c.media_type !== 'tv') continue;
+    const key = `${c.media_type}:${c.id}`;
+    const role = c.character || c.job;
+    const prev = byTitle.get(key);
+    if (prev) { if (role && !prev.roles.includes(role)) prev.roles.push(role); }
+    else byTitle.set(key, { ...c, roles: role ? [role] : [] });
+  }
+  return [...byTitle.values()];
+}
+
+const creditDate = (c) => c.release_date || c.first_air_date || '';
+const CREDIT_SORTS = {
+  popularity: (a, b) => (b.popularity || 0) - (a.popularity || 0),
+  date:       (a, b) => (creditDate(b) || '0').localeCompare(creditDate(a) || '0')
+};
+
+async function personMeta(personId, { id, type, cfg }) {
+  const loc = locale(cfg);
+  const person = await tmdb(`/person/${personId}`, { ...loc, append_to_response: 'combined_credits,external_ids' });
+  let biography = person.biography;
+  if (!biography && !isEnglish(loc)) {
+    try { biography = (await tmdb(`/person/${personId}`, { language: 'en-US' })).biography; }
+    catch (e) { warnTmdb(`English fallback for person ${personId}`, e); }
+  }
+
+  const credits = personCredits(person.combined_credits).sort(CREDIT_SORTS[cfg.personSort] || CREDIT_SORTS.popularity);
+  const [shows, movies] = await Promise.all(['tv', 'movie'].map(t => allowedTitles(credits.filter(c => c.media_type === t), t, cfg)));
+  const groups = [
+    { season: 1, name: 'Series', kind: 'series', items: shows.slice(0, 100) },
+    { season: 2, name: 'Movies', kind: 'movie',  items: movies.slice(0, 100) }
+  ].filter(g => g.items.length);
+
+  const videos = groups.flatMap(g => g.items.map((c, i) => {
+    const year = yearOf(c);
+    const date = creditDate(c);
+    return {
+      season: g.season, episode: i + 1,
+      id: recsVideoId(c.media_type, c.id, tmdbToImdb.get(`${c.media_type}:${c.id}`)),
+      title: year ? `${titleOf(c)} (${year})` : titleOf(c),
+      overview: c.roles.join(', '),
+      released: date ? new Date(date).toISOString() : undefined,
+      thumbnail: titleThumbnail(c, c.media_type, cfg, c.backdrop_path || c.poster_path)
+    };
+  }));
+
+  const life = [person.birthday, person.deathday].map(d => (d || '').slice(0, 4));
+  const imdb = person.external_ids?.imdb_id;
+  return {
+    id, type,
+    name: person.name || id,
+    poster: img(person.profile_path, cfg),
+    posterShape: 'poster',
+    background: bg(groups.flatMap(g => g.items).find(c => c.backdrop_path)?.backdrop_path, cfg),
+    description: [
+      [person.known_for_department, person.place_of_birth].filter(Boolean).join(' · '),
+      biography
+    ].filter(Boolean).join('\n\n'),
+    releaseInfo: life[0] ? `${life[0]}–${life[1]}` : '',
+    links: imdb ? [{ name: 'IMDb', category: 'imdb', url: `https://www.imdb.com/name/${imdb}/` }] : undefined,
+    seasons: groups.map(g => ({ season: g.season, name: g.name })),
+    videos
+  };
+}
+
+// ---------- Collections ----------
+// Franchises (TMDB collections): searchable as a catalog, shown as tmdb:collection pages and as Season 1 of
+// every movie that belongs to one. Entries are in release order, unreleased ones last; movies the content
+// filters drop are left out, and a search hit with none left is not listed.
+const searchCollections = (query, p, loc) => tmdb('/search/collection', { ...loc, query, page: String(p), include_adult: 'false' });
+const byReleaseDate = (a, b) => (a.release_date || '9999').localeCompare(b.release_date || '9999');
+
+async function getCollection(collectionId, cfg) {
+  const loc = locale(cfg);
+  const c = await tmdb(`/collection/${collectionId}`, loc);
+  const parts = await withEnglishFallback((await allowedTitles(c.parts || [], 'movie', cfg)).sort(byReleaseDate), 'movie', loc);
+  return { ...c, parts };
+}
+// /search/collection pages without the collections that have no movie left
+const allowedCollectionPages = (getPage, cfg) => async (p) => {
+  const data = await getPage(p);
+  const results = data.results || [];
+  const counts = await Promise.all(results.map(c => getCollection(c.id, cfg)
+    .then(x => x.parts.length, e => { warnTmdb(`collection ${c.id}`, e); return 0; })));
+  return { ...data, results: results.filter((_, i) => counts[i]) };
+};
+
+async function collectionVideos(collection, season, cfg) {
+  return Promise.all(collection.parts.map(async (it, i) => {
+    const year = yearOf(it);
+    return {
+      season, episode: i + 1,
+      id: recsVideoId('movie', it.id, await imdbFor('movie', it.id)),
+      title: year ? `${titleOf(it)} (${year})` : titleOf(it),
+      overview: it.overview || '',
+      released: it.release_date ? new Date(it.release_date).toISOString() : undefined,
+      thumbnail: titleThumbnail(it, 'movie', cfg, it.backdrop_path || it.poster_path)
+    };
+  }));
+}
+
+const collectionCatalogMeta = (c, cfg) => ({
+  id: `tmdb:collection:${c.id}`,
+  type: 'movie',
+  name: c.name,
+  poster: img(c.poster_path, cfg),
+  posterShape: 'poster',
+  background: bg(c.backdrop_path, cfg),
+  description: c.overview || ''
+});
+
+async function collectionMeta(collectionId, { id, type, cfg }) {
+  const collection = await getCollection(collectionId, cfg);
+  const years = collection.parts.map(yearOf).filter(Boolean);
+  return {
+    ...collectionCatalogMeta(collection, cfg),
+    id, type,
+    description: [collection.overview, `${collection.parts.length} movies`].filter(Boolean).join('\n\n'),
+    releaseInfo: years.length ? (years[0] === years[years.length - 1] ? years[0] : `${years[0]}–${years[years.length - 1]}`) : '',
+    seasons: [{ season: 1, name: 'Collection' }],
+    videos: await collectionVideos(collection, 1, cfg)
+  };
+}
+
+// ---------- Feeds ----------
+// The rails outside Stremio (see the export & feeds routes): any catalog window as JSON or CSV, an RSS feed of
+// episodes that just aired on On The Air shows and of new popular titles, and an iCalendar schedule for a list
+// of shows that calendar apps can subscribe to. Same TMDB lists and content filters as the catalogs.
+const FEED_EPISODE_DAYS = 7;   // RSS: episodes that aired in the last week…
+const FEED_TITLE_DAYS = 30;    // …and popular titles first released in the last month
+const FEED_POPULAR_PAGES = 3;
+const ICS_PAST_DAYS = 14;      // the schedule keeps the last two weeks, so a missed episode is still on it
+const ICS_SHOWS_MAX = 50;
+
+// catalog metas → export rows; CSV columns in this order, genres joined with "|"
+const EXPORT_COLUMNS = ['id', 'type', 'name', 'releaseInfo', 'tmdbRating', 'genres', 'description', 'poster', 'link'];
+const exportRow = (m) => ({
+  id: m.id, type: m.type, name: m.name || '', releaseInfo: m.releaseInfo || '',
+  tmdbRating: m.links?.find(l => l.category === 'TMDB')?.name || '',
+  genres: m.genres || [], description: m.description || '', poster: m.poster || '', link: webDetail(m.type, m.id)
+});
+const csvField = (v) => {
+  const s = Array.isArray(v) ? v.join('|') : String(v ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const toCsv = (rows) => [EXPORT_COLUMNS, ...rows.map(r => EXPORT_COLUMNS.map(c => r[c]))].map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+
+// Stremio page of a TMDB title: IMDb ids open the full Cinemeta page, tmdb: ids our own
+async function titleLink(tmdbType, tmdbId) {
+  return webDetail(kindOf(tmdbType), (await imdbFor(tmdbType, tmdbId)) || `tmdb:${tmdbType}:${tmdbId}`);
+}
+const episodeTitle = (show, ep) => `${titleOf(show)} — ${epCode(ep)}${ep.name ? ` ${ep.name}` : ''}`;
+
+// RSS items, newest first: the last episode of every On The Air show that aired in the last FEED_EPISODE_DAYS,
+// and popular series and movies first released in the last FEED_TITLE_DAYS
+async function feedItems(cfg) {
+  const loc = locale(cfg);
+  const today = dayInTz(cfg.timezone);
+  const recent = (date, days) => !!date && date >= dayInTz(cfg.timezone, -days) && date <= today;
+
+  const shows = await tvDetailsFromList(allowedPages((p) => getOnAir(p, loc), 'tv', cfg), loc);
+  const episodes = await Promise.all(shows.filter(d => recent(d.last_episode_to_air?.air_date, FEED_EPISODE_DAYS)).map(async (d) => {
+    const ep = d.last_episode_to_air;
+    return {
+      guid: `tmdb-tv-${d.id}-s${ep.season_number}e${ep.episode_number}`,
+      title: episodeTitle(d, ep),
+      category: 'New episode',
+      date: ep.air_date,
+      link: await titleLink('tv', d.id),
+      description: ep.overview || d.overview || ''
+    };
+  }));
+
+  const titles = await Promise.all([['tv', getPopTv], ['movie', getPopMov]].map(async ([tmdbType, getPopular]) => {
+    const items = await pagedWindow(allowedPages((p) => getPopular(p, loc), tmdbType, cfg), 0, FEED_POPULAR_PAGES * 20);
+    return Promise.all(items.filter(it => recent(it.release_date || it.first_air_date, FEED_TITLE_DAYS)).map(async (it) => ({
+      guid: `tmdb-${tmdbType}-${it.id}`,
+      title: titleQuery(it),
+      category: tmdbType === 'movie' ? 'New movie' : 'New series',
+      date: it.release_date || it.first_air_date,
+      link: await titleLink(tmdbType, it.id),
+      description: it.overview || ''
+    })));
+  }));
+  return [...episodes, ...titles.flat()].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+const rfc822Day = (day) => new Date(`${day}T00:00:00Z`).toUTCString();
+function renderRss({ title, link, self, description }, items) {
+  const item = (it) => `<item><title>${escapeHtml(it.title)}</title><link>${escapeHtml(it.link)}</link>`
+    + `<guid isPermaLink="false">${escapeHtml(it.guid)}</guid><category>${escapeHtml(it.category)}</category>`
+    + `<pubDate>${rfc822Day(it.date)}</pubDate>${it.description ? `<description>${escapeHtml(it.description)}</description>` : ''}</item>`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom"><channel>
+<title>${escapeHtml(title)}</title><link>${escapeHtml(link)}</link><description>${escapeHtml(description)}</description>
+<atom:link href="${escapeHtml(self)}" rel="self" type="application/rss+xml"/><lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+${items.map(item).join('\n')}
+</channel></rss>
+`;
+}
+
+// "Severance, tt0944947, tmdb:tv:1396, https://www.themoviedb.org/tv/1399" → TMDB tv ids; plain titles are searched
+async function scheduleShowIds(values, loc) {
+  const parts = [values].flat().flatMap(v => String(v ?? '').split(/[,;|\n]/)).map(s => s.trim()).filter(Boolean).slice(0, ICS_SHOWS_MAX);
+  const refs = await Promise.all(parts.map(async (part) => {
+    const [ref] = parseBlocklist(part);
+    if (!ref) return resolveQueryToTmdb(part, loc, 'tv');
+    if (ref.startsWith('tt')) return tmdbForImdb(ref);
+    const [tmdbType, tmdbId] = ref.split(':');
+    return { tmdbType, tmdbId };
+  }));
+  return [...new Set(refs.filter(r => r?.tmdbType === 'tv').map(r => Number(r.tmdbId)))];
+}
+
+// A show's episodes from ICS_PAST_DAYS ago on: the seasons of its last and next episode, plus those two
+// episodes themselves in case a season list is missing them (or TMDB failed)
+async function scheduleEpisodes(tmdbId, cfg) {
+  const loc = locale(cfg);
+  const show = await tmdb(`/tv/${tmdbId}`, loc);
+  const marks = [show.last_episode_to_air, show.next_episode_to_air].filter(Boolean);
+  const seasons = [...new Set(marks.map(ep => ep.season_number).filter(s => s > 0))];
+  const lists = await Promise.all(seasons.map(s =>
+    tmdb(`/tv/${tmdbId}/season/${s}`, loc).catch(e => { warnTmdb(`season ${s} of tv ${tmdbId}`, e); return { episodes: [] }; })));
+  const from = dayInTz(cfg.timezone, -ICS_PAST_DAYS);
+  const episodes = uniqBy([...lists.flatMap(l => l.episodes || []), ...marks], epCode)
+    .filter(ep => ep.air_date >= from)
+    .sort((a, b) => a.air_date.localeCompare(b.air_date));
+  return { show, episodes, link: await titleLink('tv', tmdbId) };
+}
+
+// RFC 5545 text: escaped, lines folded at 75 octets, CRLF line ends
+const icsText = (s) => String(s ?? '').replace(/[\\;,]/g, c => `\\${c}`).replace(/\r?\n/g, '\\n');
+const icsDay = (day) => day.replace(/-/g, '');
+const nextDay = (day) => new Date(Date.parse(`${day}T00:00:00Z`) + DAY).toISOString().slice(0, 10);
+function icsFold(line) {
+  const out = [];
+  let cur = '', octets = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (octets + n > (out.length ? 74 : 75)) { out.push(cur); cur = ''; octets = 0; }
+    cur += ch; octets += n;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+// all-day events (TMDB air dates have no time of day), one per episode
+function renderIcs(name, schedules) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const events = schedules.flatMap(({ show, episodes, link }) => episodes.map(ep => [
+    'BEGIN:VEVENT',
+    `UID:tmdb-tv-${show.id}-s${ep.season_number}e${ep.episode_number}@${manifest.id}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${icsDay(ep.air_date)}`,
+    `DTEND;VALUE=DATE:${icsDay(nextDay(ep.air_date))}`,
+    `SUMMARY:${icsText(episodeTitle(show, ep))}`,
+    ...(ep.overview ? [`DESCRIPTION:${icsText(ep.overview)}`] : []),
+    `URL:${link}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ]));
+  return [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:-//${manifest.id}//Airing schedule//EN`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name)}`, 'REFRESH-INTERVAL;VALUE=DURATION:PT6H', 'X-PUBLISHED-TTL:PT6H',
+    ...events.flat(), 'END:VCALENDAR'
+  ].map(icsFold).join('\r\n') + '\r\n';
+}
+
+// ---------- Watch history import ----------
+// Accepts a Trakt or Letterboxd CSV export (IMDb's own ratings/watchlist CSV works too) or any text with
+// IMDb ids in it. Everything is resolved through TMDB only: ids via /find, Letterboxd title+year via search.
+
+// RFC 4180-ish: quoted fields, "" escapes, CRLF
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f.trim())) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(f => f.trim())) rows.push(row);
+  return rows;
+}
+
+const HISTORY_COLUMNS = {
+  imdb:  ['show_imdb_id', 'imdb_id', 'imdb', 'imdb id', 'const'],
+  tmdb:  ['show_tmdb_id', 'tmdb_id', 'tmdb', 'tmdb id'],
+  type:  ['type', 'title type', 'media_type'],
+  title: ['show_title', 'title', 'name'],
+  year:  ['show_year', 'year'],
+  date:  ['watched_at', 'last_watched_at', 'watched date', 'date rated', 'date', 'created']
+};
+const historyType = (v) => /movie|film|video$/i.test(v || '') ? 'movie' : /show|series|episode|tv/i.test(v || '') ? 'tv' : null;
+
+// text → [{ imdb?, tmdbId?, tmdbType?, title?, year?, date? }], newest first when the file has dates
+function parseHistory(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const rows = parseCsv(src);
+  const header = (rows[0] || []).map(h => h.trim().toLowerCase());
+  const col = Object.fromEntries(Object.entries(HISTORY_COLUMNS).map(([k, names]) =>
+    [k, names.map(n => header.indexOf(n)).find(i => i >= 0) ?? -1]));
+  let entries;
+  if (col.imdb >= 0 || col.tmdb >= 0 || col.title >= 0) {
+    const get = (r, k) => (col[k] >= 0 ? (r[col[k]] || '').trim() : '');
+    // Letterboxd exports have no type column and only list films
+    const defaultType = header.includes('letterboxd uri') ? 'movie' : null;
+    entries = rows.slice(1).map(r => ({
+      imdb: (get(r, 'imdb').match(/tt\d+/) || [])[0],
+      tmdbId: /^\d+$/.test(get(r, 'tmdb')) ? Number(get(r, 'tmdb')) : undefined,
+      tmdbType: historyType(get(r, 'type')) || defaultType,
+      title: get(r, 'title'),
+      year: (get(r, 'year').match(/\d{4}/) || [])[0],
+      date: get(r, 'date')
+    })).filter(e => e.imdb || (e.tmdbId && e.tmdbType) || e.title);
+  } else {
+    entries = [...new Set(src.match(/tt\d{5,}/g) || [])].map(imdb => ({ imdb }));
+  }
+  if (entries.some(e => e.date)) entries.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+  // one entry per title (a Trakt export has a row per watched episode)
+  const seen = new Set();
+  return entries.filter(e => {
+    const key = e.imdb || (e.tmdbId && e.tmdbType ? `${e.tmdbType}:${e.tmdbId}` : `${e.title}|${e.year || ''}`.toLowerCase());
+    return !seen.has(key) && seen.add(key);
+  });
+}
+
+// → { history: [{ tmdbType, tmdbId, date }], unmatched } deduped, newest first, at most HISTORY_MAX titles.
+// Only the newest HISTORY_RESOLVE_MAX entries are looked up: every unmatched one costs a TMDB call.
+const HISTORY_RESOLVE_MAX = 2 * HISTORY_MAX;
+async function resolveHistory(entries, loc) {
+  entries = entries.slice(0, HISTORY_RESOLVE_MAX);
+  const seen = new Set();
+  const history = [];
+  let unmatched = 0;
+  for (let i = 0; i < entries.length && history.length < HISTORY_MAX; i += 25) {
+    const chunk = entries.slice(i, i + 25);
+    const refs = await Promise.all(chunk.map(async (e) => {
+      if (e.tmdbId && e.tmdbType) return { tmdbType: e.tmdbType, tmdbId: e.tmdbId };
+      if (e.imdb) return tmdbForImdb(e.imdb);
+      return resolveQueryToTmdb(`${e.title}${e.year ? ` ${e.year}` : ''}`, loc, e.tmdbType)
+        .catch(err => { warnTmdb(`history match for "${e.title}"`, err); return null; });
+    }));
+    refs.forEach((ref, k) => {
+      if (!ref) { unmatched++; return; }
+      const key = `${ref.tmdbType}:${ref.tmdbId}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      history.push({ tmdbType: ref.tmdbType, tmdbId: Number(ref.tmdbId), date: chunk[k].date || undefined });
+    });
+  }
+  return { history: history.slice(0, HISTORY_MAX), unmatched };
 }
 
 // ---------- Stremio manifest ----------
@@ -108,249 +1628,524 @@ const manifest = {
   name: 'TMDB Recs',
   description:
     'Discovery add-on for Stremio. Optional rails: “On the air” (TV) and “Recommendations” (TV/Movies). ' +
-    'Open any title from this add-on to see a Season-0 list with 20 recommendations.',
+    'Open any title from this add-on to see a Season-0 list of recommendations.',
 
   behaviorHints: { configurable: true, configurationRequired: false },
   config: [
     { key: 'enableOnAir',         type: 'boolean', default: 'checked', title: 'Enable “On the air” rail (TV)' },
+    { key: 'enableAiringToday',   type: 'boolean', default: 'checked', title: 'Enable “Airing today” rail (TV)' },
+    { key: 'enableNextWeek',      type: 'boolean', default: 'checked', title: 'Enable “Next 7 days” rail (TV)' },
+    { key: 'enablePremieres',     type: 'boolean', default: 'checked', title: 'Enable “Upcoming season premieres” rail (TV)' },
+    { key: 'timezone',            type: 'text',    default: 'UTC',     title: 'Timezone for air dates (e.g. Europe/Berlin)' },
     { key: 'enableRecsTv',        type: 'boolean', default: 'checked', title: 'Enable “Recommendations” rail (TV)' },
     { key: 'enableRecsMovie',     type: 'boolean', default: 'checked', title: 'Enable “Recommendations” rail (Movies)' },
     { key: 'enableStreamsRecs',   type: 'boolean', default: 'checked', title: 'Enable “Recommendations” button in Streams' },
-    { key: 'compatPopularImdb',   type: 'boolean', default: '',        title: 'Compatibility mode for Popular rails (use IMDb IDs)' }
+    { key: 'streamRows',          type: 'text',    default: 'recs,similar,collection,creator,search', title: 'Stream rows (recs, similar, collection, creator, search)' },
+    { key: 'compatPopularImdb',   type: 'boolean', default: '',        title: 'Compatibility mode for Popular rails (use IMDb IDs)' },
+    { key: 'language',            type: 'text',    default: 'en-GB',   title: 'Language for titles & overviews (e.g. de-DE)' },
+    { key: 'region',              type: 'text',    default: '',        title: 'Region for popular lists & search (e.g. DE)' },
+    { key: 'enableDiscover',      type: 'boolean', default: 'checked', title: 'Enable “Discover” rails (TV/Movies)' },
+    { key: 'yearFrom',            type: 'number',  default: '',        title: 'Discover: released from year' },
+    { key: 'yearTo',              type: 'number',  default: '',        title: 'Discover: released up to year' },
+    { key: 'minRating',           type: 'number',  default: '',        title: 'Discover: minimum TMDB rating (0-10)' },
+    { key: 'minVotes',            type: 'number',  default: '',        title: 'Discover: minimum vote count' },
+    { key: 'originalLanguage',    type: 'text',    default: '',        title: 'Discover: original language (e.g. ko)' },
+    { key: 'network',             type: 'text',    default: '',        title: 'Discover: TMDB network id (TV)' },
+    { key: 'providers',           type: 'text',    default: '',        title: 'My streaming services (TMDB provider ids, comma separated)' },
+    { key: 'enableCandidates',    type: 'boolean', default: 'checked', title: 'Enable “Did you mean…” rows for ambiguous searches' },
+    { key: 'useSimilar',          type: 'boolean', default: 'checked', title: 'Recommendations rails: also rank by TMDB “similar” titles' },
+    { key: 'onlyMyProviders',     type: 'boolean', default: '',        title: 'Popular, Discover & Recommendations: only titles on my services' },
+    { key: 'enablePeople',        type: 'boolean', default: 'checked', title: 'Enable “People” catalog (actors & directors)' },
+    { key: 'personSort',          type: 'select',  default: 'popularity', options: ['popularity', 'date'], title: 'Person pages: sort credits by' },
+    { key: 'enableCollections',   type: 'boolean', default: 'checked', title: 'Enable “Collections” catalog and franchise lists on movie pages' },
+    { key: 'profile',             type: 'text',    default: '',        title: 'Watch-history profile token (import on the /configure page)' },
+    { key: 'rails',               type: 'text',    default: '',        title: 'Catalog order, names & custom rails (edit on the /configure page)' },
+    { key: 'pageSize',            type: 'select',  default: '100', options: ['20', '50', '100'], title: 'Titles per page: list rails' },
+    { key: 'recsPageSize',        type: 'select',  default: '50',  options: ['20', '50', '100'], title: 'Titles per page: recommendation rails' },
+    { key: 'season0Size',         type: 'select',  default: '20',  options: ['20', '50', '100'], title: 'Recommendations in Season 0 of title pages' },
+    { key: 'excludeAdult',        type: 'boolean', default: 'checked', title: 'Hide adult titles' },
+    { key: 'maxCertMovie',        type: 'text',    default: '',        title: 'Movies: highest certification in my region (e.g. PG-13)' },
+    { key: 'maxCertTv',           type: 'text',    default: '',        title: 'Series: highest certification in my region (e.g. TV-14)' },
+    { key: 'excludeGenres',       type: 'text',    default: '',        title: 'Hide genres (TMDB genre ids, comma separated)' },
+    { key: 'excludeKeywords',     type: 'text',    default: '',        title: 'Hide keywords or genres by name (e.g. horror, anime)' },
+    { key: 'blocklist',           type: 'text',    default: '',        title: 'Blocked titles (IMDb ids or TMDB links)' },
+    { key: 'imageQuality',        type: 'select',  default: 'standard', options: ['low', 'standard', 'high'], title: 'Image quality (low for slow connections, high for TVs)' },
+    { key: 'localPosters',        type: 'boolean', default: '',        title: 'Posters in my language when TMDB has one' },
+    { key: 'posterOverlay',       type: 'boolean', default: '',        title: 'Poster overlay: TMDB score and a “new episode” badge' }
   ],
 
   resources: [
     'catalog',
-    { name: 'meta', types: ['movie', 'series'], idPrefixes: ['tmdb:tv', 'tmdb:movie', 'recs'] },
+    { name: 'meta', types: ['movie', 'series'], idPrefixes: ['tmdb:tv', 'tmdb:movie', 'tmdb:person', 'tmdb:collection', 'recs', 'similar'] },
     'stream'
   ],
   types: ['series', 'movie'],
-  idPrefixes: ['tt', 'tmdb:tv', 'tmdb:movie', 'recs'],
+  idPrefixes: ['tt', 'tmdb:tv', 'tmdb:movie', 'tmdb:person', 'tmdb:collection', 'recs', 'similar'],
 
+  // genre options are filled per request by manifestFor()
   catalogs: [
-    { type: 'series', id: 'tmdb-on-air',         name: 'On The Air (TMDB)',               extra: [{ name: 'skip', isRequired: false }] },
-    { type: 'series', id: 'tmdb-popular-series', name: 'Popular series recommendations',   extra: [{ name: 'skip', isRequired: false }] },
-    { type: 'movie',  id: 'tmdb-popular-movies', name: 'Popular movies recommendations',   extra: [{ name: 'skip', isRequired: false }] },
+    { type: 'series', id: 'tmdb-on-air',         name: 'On The Air (TMDB)',               extra: [{ name: 'genre', isRequired: false }, { name: 'skip', isRequired: false }] },
+    { type: 'series', id: 'tmdb-airing-today',   name: 'Airing Today (TMDB)',             extra: [{ name: 'skip', isRequired: false }] },
+    { type: 'series', id: 'tmdb-next-7-days',    name: 'Next 7 days (TMDB)',              extra: [{ name: 'skip', isRequired: false }] },
+    { type: 'series', id: 'tmdb-premieres',      name: 'Upcoming season premieres',       extra: [{ name: 'skip', isRequired: false }] },
+    { type: 'series', id: 'tmdb-popular-series', name: 'Popular series recommendations',   extra: [{ name: 'genre', isRequired: false }, { name: 'skip', isRequired: false }] },
+    { type: 'movie',  id: 'tmdb-popular-movies', name: 'Popular movies recommendations',   extra: [{ name: 'genre', isRequired: false }, { name: 'skip', isRequired: false }] },
+    { type: 'series', id: 'tmdb-discover-series', name: 'Discover series (TMDB)',          extra: [{ name: 'genre', isRequired: false }, { name: 'skip', isRequired: false }] },
+    { type: 'movie',  id: 'tmdb-discover-movies', name: 'Discover movies (TMDB)',          extra: [{ name: 'genre', isRequired: false }, { name: 'skip', isRequired: false }] },
     { type: 'movie',  id: 'tmdb-recs-movie',     name: 'TMDB Recommendations',             extra: [{ name: 'search', isRequired: true }, { name: 'skip', isRequired: false }] },
-    { type: 'series', id: 'tmdb-recs-series',    name: 'TMDB Recommendations',             extra: [{ name: 'search', isRequired: true }, { name: 'skip', isRequired: false }] }
+    { type: 'series', id: 'tmdb-recs-series',    name: 'TMDB Recommendations',             extra: [{ name: 'search', isRequired: true }, { name: 'skip', isRequired: false }] },
+    { type: 'movie',  id: 'tmdb-candidates-movie',  name: 'TMDB: did you mean…',           extra: [{ name: 'search', isRequired: true }, { name: 'skip', isRequired: false }] },
+    { type: 'series', id: 'tmdb-candidates-series', name: 'TMDB: did you mean…',           extra: [{ name: 'search', isRequired: true }, { name: 'skip', isRequired: false }] },
+    { type: 'series', id: 'tmdb-people',         name: 'People (TMDB)',                    extra: [{ name: 'search', isRequired: false }, { name: 'skip', isRequired: false }] },
+    { type: 'movie',  id: 'tmdb-collections',    name: 'Collections (TMDB)',               extra: [{ name: 'search', isRequired: true }, { name: 'skip', isRequired: false }] },
+    { type: 'movie',  id: 'tmdb-for-you-movie',  name: 'For you (TMDB)',                   extra: [{ name: 'skip', isRequired: false }] },
+    { type: 'series', id: 'tmdb-for-you-series', name: 'For you (TMDB)',                   extra: [{ name: 'skip', isRequired: false }] }
   ]
 };
 
 const builder = new addonBuilder(manifest);
 
+// ---------- Catalog layout ----------
+// cfg.rails is an ordered list of { id, name?, hide? } for built-in catalogs plus custom rails
+// { id: 'tmdb-custom-N', type, name, seed } (recommendations for seed titles) or
+// { id: 'tmdb-custom-N', type, name, discover: { genre, yFrom, yTo, minVote, minVotes, origLang, network, sort } }.
+// Built-ins it doesn't mention keep their default position after the listed ones.
+const MAX_RAILS = 30;
+const RAIL_SORTS = ['popularity', 'rating', 'newest'];
+
+function parseRails(v) {
+  let list;
+  try { list = typeof v === 'string' ? JSON.parse(v) : v; } catch { return []; }
+  if (!Array.isArray(list)) return [];
+  const str = (x, max) => (typeof x === 'string' && x.trim()) ? x.trim().slice(0, max) : undefined;
+  const num = (x, min, max) => { const n = Number(x); return (x != null && x !== '' && Number.isFinite(n) && n >= min && n <= max) ? n : undefined; };
+  const out = [];
+  for (const r of list.slice(0, MAX_RAILS)) {
+    if (!r || typeof r.id !== 'string' || !/^tmdb-[a-z0-9-]{1,40}$/.test(r.id) || out.some(x => x.id === r.id)) continue;
+    const rail = { id: r.id };
+    if (str(r.name, 60)) rail.name = str(r.name, 60);
+    if (r.hide === true) rail.hide = true;
+    if (/^tmdb-custom-\d+$/.test(r.id)) {
+      if (r.type !== 'movie' && r.type !== 'series') continue;
+      rail.type = r.type;
+      if (str(r.seed, 200)) rail.seed = str(r.seed, 200);
+      else if (r.discover && typeof r.discover === 'object') {
+        const d = r.discover;
+        rail.discover = Object.fromEntries(Object.entries({
+          genre: str(d.genre, 40),
+          yFrom: num(d.yFrom, 1900, 2100), yTo: num(d.yTo, 1900, 2100),
+          minVote: num(d.minVote, 0, 10), minVotes: num(d.minVotes, 0, 1e6),
+          origLang: /^[a-z]{2}$/.test(d.origLang || '') ? d.origLang : undefined,
+          network: /^\d+$/.test(d.network || '') ? d.network : undefined,
+          sort: RAIL_SORTS.includes(d.sort) ? d.sort : undefined
+        }).filter(([, x]) => x !== undefined));
+      } else continue;
+    } else if (!manifest.catalogs.some(c => c.id === r.id)) continue;
+    out.push(rail);
+  }
+  return out;
+}
+
+// feature switches that also remove their catalogs
+const CATALOG_FLAGS = {
+  'tmdb-on-air': 'enableOnAir', 'tmdb-airing-today': 'enableAiringToday', 'tmdb-next-7-days': 'enableNextWeek',
+  'tmdb-premieres': 'enablePremieres', 'tmdb-recs-series': 'enableRecsTv', 'tmdb-recs-movie': 'enableRecsMovie',
+  'tmdb-discover-series': 'enableDiscover', 'tmdb-discover-movies': 'enableDiscover',
+  'tmdb-candidates-movie': 'enableCandidates', 'tmdb-candidates-series': 'enableCandidates',
+  'tmdb-people': 'enablePeople', 'tmdb-collections': 'enableCollections'
+};
+function catalogEnabled(id, cfg) {
+  if (cfg.rails.find(r => r.id === id)?.hide) return false;
+  if (CATALOG_FLAGS[id] && cfg[CATALOG_FLAGS[id]] === false) return false;
+  if (id.startsWith('tmdb-for-you-')) return !!getProfile(cfg.profile)?.history?.length;
+  if (id.startsWith('tmdb-custom-')) return cfg.rails.some(r => r.id === id && r.type);
+  return true;
+}
+
+const customCatalog = (r) => ({ type: r.type, id: r.id, name: r.name || 'My rail', extra: [{ name: 'skip', isRequired: false }] });
+
+// every catalog in layout order, hidden ones included (the /configure editor lists them all)
+function layoutCatalogs(cfg) {
+  const ids = [...cfg.rails.map(r => r.id), ...manifest.catalogs.map(c => c.id)].filter((id, i, all) => all.indexOf(id) === i);
+  return ids.map(id => {
+    const r = cfg.rails.find(x => x.id === id);
+    const base = manifest.catalogs.find(c => c.id === id) || (r?.type ? customCatalog(r) : null);
+    return base && (r?.name ? { ...base, name: r.name } : base);
+  }).filter(Boolean);
+}
+
+// Manifest served to clients: enabled catalogs in the configured order and names, genre options from
+// TMDB's genre lists in the configured language
+async function manifestFor(cfg) {
+  const loc = locale(cfg);
+  const [tvGenres, movieGenres] = await Promise.all([getGenres('tv', loc), getGenres('movie', loc)]);
+  const genreNames = { series: tvGenres.map(g => g.name), movie: movieGenres.map(g => g.name) };
+  return {
+    ...manifest,
+    catalogs: layoutCatalogs(cfg).filter(c => catalogEnabled(c.id, cfg)).map(c => ({
+      ...c,
+      extra: (c.extra || []).map(e => e.name === 'genre' ? { ...e, options: genreNames[c.type] } : e)
+    }))
+  };
+}
+
 // ---------- CATALOG ----------
+// Ranked recs for one or more seeds as rail metas, narrowed to my services and annotated with the seeds
+// that recommend each title ("Because you watched …") when there is more than one.
+const FOR_YOU_SEEDS = 25;
+// Every window of a recs rail is cut from the same ranked list, so it is built from a fixed number of
+// pages per seed whatever the skip: a single seed's recommendations are read to the end (TMDB stops well
+// before RECS_MAX_PAGES), several seeds share the budget.
+const RECS_MAX_PAGES = 25;
+const recsPagesPerSeed = (seeds) => Math.max(2, Math.ceil(RECS_MAX_PAGES / seeds.length));
+async function blendedRecsMetas(seeds, wantType, cfg, { skip = 0, pageSize = cfg.recsPageSize, pagesPerSeed = 2, similarPages = 2, exclude = null } = {}) {
+  const loc = locale(cfg);
+  const ranked = await blendRecs(seeds, wantType, cfg, { pagesPerSeed, similarPages, exclude });
+  let collected = [];
+  for (let i = 0; i < ranked.length && collected.length < skip + pageSize; i += 40) {
+    const chunk = ranked.slice(i, i + 40);
+    const allowed = await allowedTitles(chunk.map(r => r.item), wantType, cfg);
+    const kept = new Set(await filterToMyProviders(allowed, wantType, cfg));
+    collected = collected.concat(chunk.filter(r => kept.has(r.item)));
+  }
+  const window = collected.slice(skip, skip + pageSize);
+
+  // with several seeds, say which ones recommend each title
+  const seedNames = new Map();
+  if (seeds.length > 1) {
+    const shown = new Set(window.flatMap(r => [...r.seeds]));
+    await Promise.all(seeds.filter(sd => shown.has(sd.tmdbId)).map(async (sd) => {
+      try { seedNames.set(sd.tmdbId, titleOf(await tmdb(`/${wantType}/${sd.tmdbId}`, loc))); }
+      catch (e) { warnTmdb(`details for ${wantType} ${sd.tmdbId}`, e); }
+    }));
+  }
+  const describe = (it, i) => {
+    const names = [...window[i].seeds].map(x => seedNames.get(x)).filter(Boolean).slice(0, 3);
+    return [names.length ? `Because you watched ${names.join(', ')}` : '', it.overview].filter(Boolean).join('\n\n');
+  };
+  return toMetas(window.map(r => r.item), wantType, cfg, { useImdb: true, describe });
+}
+
+// Rails that list what is airing or recommended use IMDb ids so Stremio opens the full Cinemeta page;
+// Popular/Discover do so only in compatibility mode (their tmdb: ids open our Season-0 page instead).
+const IMDB_ID_RAILS = new Set(['tmdb-on-air', 'tmdb-airing-today', 'tmdb-next-7-days', 'tmdb-premieres', 'tmdb-recs-movie', 'tmdb-recs-series', 'tmdb-for-you-movie', 'tmdb-for-you-series']);
+
 builder.defineCatalogHandler(async ({ type, id, extra, config }) => {
   const persisted = cfgFromQuery(extra || {});
   const cfg = { ...persisted, ...(config || {}) };
+  const loc = locale(cfg);
+
+  const maxReturn = cfg.pageSize;
+  const skip = Math.max(0, Math.floor(Number(extra?.skip) || 0));
 
-  const tmdbPerPage = 20, maxReturn = 100;
-  const skip = Number(extra?.skip || 0);
-  const startPage = Math.floor(skip / tmdbPerPage) + 1;
-  const endIndexExclusive = skip + maxReturn;
-  const endPage = Math.ceil(endIndexExclusive / tmdbPerPage);
+  if (!catalogEnabled(id, cfg)) return { metas: [] };
 
-  if (id === 'tmdb-on-air'      && cfg.enableOnAir       === false) return { metas: [] };
-  if (id === 'tmdb-recs-series' && cfg.enableRecsTv      === false) return { metas: [] };
-  if (id === 'tmdb-recs-movie'  && cfg.enableRecsMovie   === false) return { metas: [] };
+  // genre extra (or "only my services" on Popular) → the rail is served from /discover with the same ordering
+  const tmdbType = type === 'movie' ? 'movie' : 'tv';
+  const useImdb = IMDB_ID_RAILS.has(id) || cfg.compatPopularImdb;
+  const myProvidersOnly = cfg.onlyMyProviders && cfg.providers.length > 0;
+  const genreId = extra?.genre ? await genreIdFor(tmdbType, extra.genre, loc) : null;
+  if (extra?.genre && !genreId) return { metas: [] };
 
   // On The Air (TV)
   if (type === 'series' && id === 'tmdb-on-air') {
-    const pages = [];
-    for (let p = startPage; p <= endPage; p++) {
-      const data = await getOnAir(p);
-      pages.push(data);
-      if (p >= (data.total_pages || p)) break;
-    }
-    const all = pages.flatMap(pg => pg.results || []);
-    const startOffset = skip % tmdbPerPage;
-    const window = all.slice(startOffset, startOffset + maxReturn);
-    const imdbIds = await Promise.all(window.map(tv => imdbForTv(tv.id)));
-    return { metas: window.map((tv, i) => ({
-      id: imdbIds[i] || `tmdb:tv:${tv.id}`,
-      type: 'series',
-      name: tv.name || tv.original_name,
-      poster: img(tv.poster_path),
-      posterShape: 'poster',
-      description: tv.overview || '',
-      releaseInfo: (tv.first_air_date || '').slice(0, 4)
-    })) };
-  }
-
-  // Popular series
-  if (type === 'series' && id === 'tmdb-popular-series') {
-    const pages = [];
-    for (let p = startPage; p <= endPage; p++) {
-      const data = await getPopTv(p);
-      pages.push(data);
-      if (p >= (data.total_pages || p)) break;
-    }
-    const all = pages.flatMap(pg => pg.results || []);
-    const startOffset = skip % tmdbPerPage;
-    const window = all.slice(startOffset, startOffset + maxReturn);
-
-    if (cfg.compatPopularImdb) {
-      const imdbIds = await Promise.all(window.map(tv => imdbForTv(tv.id)));
-      return { metas: window.map((tv, i) => ({
-        id: imdbIds[i] || `tmdb:tv:${tv.id}`,
-        type: 'series',
-        name: tv.name || tv.original_name,
-        poster: img(tv.poster_path),
-        posterShape: 'poster',
-        description: tv.overview || '',
-        releaseInfo: (tv.first_air_date || '').slice(0, 4)
-      })) };
-    }
-    return { metas: window.map(tv => ({
-      id: `tmdb:tv:${tv.id}`,
-      type: 'series',
-      name: tv.name || tv.original_name,
-      poster: img(tv.poster_path),
-      posterShape: 'poster',
-      description: tv.overview || '',
-      releaseInfo: (tv.first_air_date || '').slice(0, 4)
-    })) };
-  }
-
-  // Popular movies
-  if (type === 'movie' && id === 'tmdb-popular-movies') {
-    const pages = [];
-    for (let p = startPage; p <= endPage; p++) {
-      const data = await getPopMov(p);
-      pages.push(data);
-      if (p >= (data.total_pages || p)) break;
-    }
-    const all = pages.flatMap(pg => pg.results || []);
-    const startOffset = skip % tmdbPerPage;
-    const window = all.slice(startOffset, startOffset + maxReturn);
-
-    if (cfg.compatPopularImdb) {
-      const imdbIds = await Promise.all(window.map(m => imdbForMovie(m.id)));
-      return { metas: window.map((m, i) => ({
-        id: imdbIds[i] || `tmdb:movie:${m.id}`,
-        type: 'movie',
-        name: m.title || m.original_title,
-        poster: img(m.poster_path),
-        posterShape: 'poster',
-        description: m.overview || '',
-        releaseInfo: (m.release_date || '').slice(0, 4)
-      })) };
+    const getPage = genreId ? (p) => getDiscover('tv', discoverParams('tv', cfg, { genreId, airingWeek: true }), p) : (p) => getOnAir(p, loc);
+    return { metas: await toMetas(await pagedWindow(allowedPages(getPage, 'tv', cfg), skip, maxReturn), 'tv', cfg, { useImdb }) };
+  }
+
+  // Airing calendar rails: descriptions lead with the next episode and its air date
+  if (type === 'series' && (id === 'tmdb-airing-today' || id === 'tmdb-next-7-days' || id === 'tmdb-premieres')) {
+    const today = dayInTz(cfg.timezone);
+    let window;
+    if (id === 'tmdb-airing-today') {
+      const shows = await pagedWindow(allowedPages((p) => getAiringToday(p, loc, cfg.timezone), 'tv', cfg), skip, maxReturn);
+      window = await Promise.all(shows.map(tv =>
+        tmdb(`/tv/${tv.id}`, loc).catch(e => { warnTmdb(`details for tv ${tv.id}`, e); return tv; })));
+    } else if (id === 'tmdb-next-7-days') {
+      const weekEnd = dayInTz(cfg.timezone, 7);
+      const shows = await tvDetailsFromList(allowedPages((p) => getOnAir(p, loc), 'tv', cfg), loc);
+      window = shows
+        .filter(d => d.next_episode_to_air?.air_date >= today && d.next_episode_to_air.air_date <= weekEnd)
+        .sort(byNextAirDate)
+        .slice(skip, skip + maxReturn);
+    } else {
+      // shows with any episode in the next 60 days whose next episode opens a season
+      const params = { ...locale(cfg), sort_by: 'popularity.desc', 'air_date.gte': today, 'air_date.lte': dayInTz(cfg.timezone, 60) };
+      const shows = await tvDetailsFromList(allowedPages((p) => getDiscover('tv', params, p), 'tv', cfg), loc);
+      window = shows
+        .filter(d => d.next_episode_to_air?.episode_number === 1 && d.next_episode_to_air.air_date >= today)
+        .sort(byNextAirDate)
+        .slice(skip, skip + maxReturn);
     }
-    return { metas: window.map(m => ({
-      id: `tmdb:movie:${m.id}`,
-      type: 'movie',
-      name: m.title || m.original_title,
-      poster: img(m.poster_path),
-      posterShape: 'poster',
-      description: m.overview || '',
-      releaseInfo: (m.release_date || '').slice(0, 4)
-    })) };
-  }
-
-  // Search-triggered recs rails
+    const describe = (tv) => {
+      const ep = [tv.last_episode_to_air, tv.next_episode_to_air].find(e => e?.air_date === today) || tv.next_episode_to_air;
+      return [episodeAirLabel(ep, cfg), tv.overview].filter(Boolean).join('\n\n');
+    };
+    return { metas: await toMetas(window, 'tv', cfg, { useImdb, describe }) };
+  }
+
+  // Popular series / movies
+  if ((type === 'series' && id === 'tmdb-popular-series') || (type === 'movie' && id === 'tmdb-popular-movies')) {
+    const getPopular = tmdbType === 'movie' ? getPopMov : getPopTv;
+    const getPage = (genreId || myProvidersOnly) ? (p) => getDiscover(tmdbType, discoverParams(tmdbType, cfg, { genreId }), p) : (p) => getPopular(p, loc);
+    return { metas: await toMetas(await pagedWindow(allowedPages(getPage, tmdbType, cfg), skip, maxReturn), tmdbType, cfg, { useImdb }) };
+  }
+
+  // Discover rails (user filters + optional genre)
+  if (id === 'tmdb-discover-series' || id === 'tmdb-discover-movies') {
+    const params = discoverParams(tmdbType, cfg, { genreId });
+    return { metas: await toMetas(await pagedWindow(allowedPages((p) => getDiscover(tmdbType, params, p), tmdbType, cfg), skip, maxReturn), tmdbType, cfg, { useImdb }) };
+  }
+
+  // Search-triggered recs rails: one seed, or several blended ("because you watched A, B and C")
   if (id === 'tmdb-recs-movie' || id === 'tmdb-recs-series') {
-    const q = (extra?.search || '').trim();
-    const PAGE_SIZE = 50;
-    const resolved = await resolveQueryToTmdb(q);
-    if (!resolved) return { metas: [] };
     const wantType = (id === 'tmdb-recs-movie') ? 'movie' : 'tv';
-    if (resolved.tmdbType !== wantType) return { metas: [] };
+    const resolved = await Promise.all(splitSeeds(extra?.search).map(q => resolveQueryToTmdb(q, loc, wantType)));
+    const seeds = resolved.filter(r => r?.tmdbType === wantType)
+      .filter((r, i, arr) => arr.findIndex(x => x.tmdbId === r.tmdbId) === i);
+    if (!seeds.length) return { metas: [] };
+
+    const metas = await blendedRecsMetas(seeds, wantType, cfg, { skip, pageSize: cfg.recsPageSize, pagesPerSeed: recsPagesPerSeed(seeds) });
+    return { metas };
+  }
 
-    let collected = [];
-    for (let page = 1; collected.length < skip + PAGE_SIZE && page <= 10; page++) {
-      const recs = await getRecs({ tmdbType: resolved.tmdbType, tmdbId: resolved.tmdbId, page });
-      collected = collected.concat(recs.results || []);
-      if (page >= (recs.total_pages || page)) break;
+  // Custom rails from the catalog layout: recommendations for seed titles, or a saved discover filter
+  const rail = cfg.rails.find(r => r.id === id && r.type);
+  if (rail?.seed) {
+    const resolved = await Promise.all(splitSeeds(rail.seed).map(q => resolveQueryToTmdb(q, loc, tmdbType)));
+    const seeds = resolved.filter(r => r?.tmdbType === tmdbType).filter((r, i, arr) => arr.findIndex(x => x.tmdbId === r.tmdbId) === i);
+    if (!seeds.length) return { metas: [] };
+    return { metas: await blendedRecsMetas(seeds, tmdbType, cfg, { skip, pageSize: cfg.recsPageSize, pagesPerSeed: recsPagesPerSeed(seeds) }) };
+  }
+  if (rail?.discover) {
+    const d = rail.discover;
+    const railCfg = {
+      ...cfg,
+      yearFrom: d.yFrom ?? cfg.yearFrom, yearTo: d.yTo ?? cfg.yearTo,
+      minRating: d.minVote ?? cfg.minRating, minVotes: d.minVotes ?? cfg.minVotes,
+      originalLanguage: d.origLang ?? cfg.originalLanguage, network: d.network ?? cfg.network
+    };
+    const railGenreId = d.genre ? await genreIdFor(tmdbType, d.genre, loc) : null;
+    if (d.genre && !railGenreId) return { metas: [] };
+    const params = discoverParams(tmdbType, railCfg, { genreId: railGenreId });
+    if (d.sort === 'rating') { params.sort_by = 'vote_average.desc'; params['vote_count.gte'] ??= '200'; }
+    if (d.sort === 'newest') {
+      const dateKey = tmdbType === 'movie' ? 'primary_release_date' : 'first_air_date';
+      params.sort_by = `${dateKey}.desc`;
+      params[`${dateKey}.lte`] ??= isoDay(new Date());
     }
-    const slice = collected.slice(skip, skip + PAGE_SIZE);
-
-    if (resolved.tmdbType === 'tv') {
-      const ids = await Promise.all(slice.map(it => imdbForTv(it.id)));
-      return { metas: slice.map((it) => ({
-        id: ids[slice.indexOf(it)] || `tmdb:tv:${it.id}`,
-        type: 'series',
-        name: it.name,
-        poster: img(it.poster_path),
-        posterShape: 'poster',
-        description: it.overview || '',
-        releaseInfo: (it.first_air_date || '').slice(0, 4)
-      })) };
-    } else {
-      const ids = await Promise.all(slice.map(it => imdbForMovie(it.id)));
-      return { metas: slice.map((it) => ({
-        id: ids[slice.indexOf(it)] || `tmdb:movie:${it.id}`,
-        type: 'movie',
-        name: it.title,
-        poster: img(it.poster_path),
-        posterShape: 'poster',
-        description: it.overview || '',
-        releaseInfo: (it.release_date || '').slice(0, 4)
-      })) };
+    return { metas: await toMetas(await pagedWindow(allowedPages((p) => getDiscover(tmdbType, params, p), tmdbType, cfg), skip, maxReturn), tmdbType, cfg, { useImdb }) };
+  }
+
+  // For you: recommendations blended from the most recent titles of the imported history, minus everything seen
+  if (id === 'tmdb-for-you-movie' || id === 'tmdb-for-you-series') {
+    const history = getProfile(cfg.profile)?.history || [];
+    const watched = history.filter(h => h.tmdbType === tmdbType);
+    if (!watched.length) return { metas: [] };
+    const metas = await blendedRecsMetas(watched.slice(0, FOR_YOU_SEEDS), tmdbType, cfg, {
+      skip, pageSize: cfg.recsPageSize, pagesPerSeed: 1, similarPages: 1, exclude: watched.map(h => h.tmdbId)
+    });
+    return { metas };
+  }
+
+  // "Did you mean…": when a seed stays ambiguous, list its top matches so the user can pick the right one.
+  // Always tmdb: ids, so opening a candidate shows its Season-0 recommendations.
+  if (id === 'tmdb-candidates-movie' || id === 'tmdb-candidates-series') {
+    const seen = new Set();
+    const picks = [];
+    for (const q of splitSeeds(extra?.search)) {
+      if (/^tt\d+$/i.test(q)) continue;
+      const cands = await searchCandidates(q, loc);
+      if (!isAmbiguous(cands)) continue;
+      const allowed = new Set(await allowedTitles(cands.filter(x => x.tmdbType === tmdbType).map(x => x.item), tmdbType, cfg));
+      for (const c of cands.filter(x => allowed.has(x.item)).slice(0, 5)) {
+        if (!seen.has(c.tmdbId)) { seen.add(c.tmdbId); picks.push(c.item); }
+      }
     }
+    const describe = (it) => ['Open for recommendations based on this title.', it.overview].filter(Boolean).join('\n\n');
+    return { metas: await toMetas(picks.slice(skip, skip + maxReturn), tmdbType, cfg, { describe }) };
+  }
+
+  // People: popular people, or /search/person when searched (Stremio search shows it next to the recs rows)
+  if (id === 'tmdb-people') {
+    const query = (extra?.search || '').trim();
+    const getPage = query ? (p) => searchPeople(query, p, loc) : (p) => getPopularPeople(p, loc);
+    const people = await pagedWindow(getPage, skip, maxReturn, { keep: p => !p.adult });
+    return { metas: people.map(p => personCatalogMeta(p, cfg)) };
+  }
+
+  // Collections: /search/collection
+  if (id === 'tmdb-collections') {
+    const query = (extra?.search || '').trim();
+    if (!query) return { metas: [] };
+    const found = await pagedWindow(allowedCollectionPages((p) => searchCollections(query, p, loc), cfg), skip, maxReturn);
+    return { metas: found.map(c => collectionCatalogMeta(c, cfg)) };
   }
 
   return { metas: [] };
 });
 
 // ---------- META ----------
-builder.defineMetaHandler(async ({ type, id }) => {
+// Season 0 of a meta page: the title's recommendations, narrowed to my services and annotated with where they stream
+// (cfg.season0Size entries, read through as many recommendation pages as that takes; getPage = getSimilar
+// for similar: pages)
+async function recommendationVideos(tmdbType, tmdbId, cfg, { getPage = getRecs } = {}) {
+  const loc = locale(cfg);
+  const size = cfg.season0Size || DEFAULTS.season0Size;
+  const seen = new Set();
+  let recItems = [];
+  for (let page = 1; recItems.length < size && page <= RECS_MAX_PAGES; page++) {
+    const recs = await getPage({ tmdbType, tmdbId, page, loc });
+    const fresh = (recs.results || []).filter(it => !seen.has(it.id) && seen.add(it.id));
+    recItems = recItems.concat(await filterToMyProviders(await allowedTitles(fresh, tmdbType, cfg), tmdbType, cfg));
+    if (page >= (recs.total_pages || page)) break;
+  }
+  const shown = await withEnglishFallback(recItems.slice(0, size), tmdbType, loc);
+  const recProviders = await Promise.all(shown.map(item => titleProviders(tmdbType, item.id, cfg)));
+
+  return Promise.all(shown.map(async (item, i) => {
+    const imdb = await imdbFor(tmdbType, item.id);
+    const displayTitle = titleOf(item) || `Recommendation ${i+1}`;
+    const year = yearOf(item);
+    const overview = [providerLine(recProviders[i]), item.overview].filter(Boolean).join('\n');
+    return { season: 0, episode: i + 1, id: recsVideoId(tmdbType, item.id, imdb), title: year ? `${displayTitle} (${year})` : displayTitle, overview, thumbnail: titleThumbnail(item, tmdbType, cfg) };
+  }));
+}
+
+async function richMeta(tmdbType, tmdbId, { id, type, cfg }) {
+  const details = await getFullDetails(tmdbType, tmdbId, locale(cfg));
+  const meta = { ...buildMeta(details, tmdbType, { id, cfg }), type, seasons: [{ season: 0, name: 'Recommendations' }] };
+  meta.name = meta.name || id;
+
+  const prov = await titleProviders(tmdbType, tmdbId, cfg);
+  if (prov.stream.length) meta.description = [meta.description, providerLine(prov)].filter(Boolean).join('\n\n');
+  meta.videos = await recommendationVideos(tmdbType, tmdbId, cfg);
+
+  // movies in a franchise: Season 1 lists it in release order
+  const collectionId = details.belongs_to_collection?.id;
+  if (tmdbType === 'movie' && collectionId && cfg.enableCollections !== false) {
+    try {
+      const collection = await getCollection(collectionId, cfg);
+      if (collection.parts.length) meta.seasons.push({ season: 1, name: 'Collection' });
+      meta.videos.push(...await collectionVideos(collection, 1, cfg));
+    } catch (e) { warnTmdb(`collection ${collectionId}`, e); }
+  }
+  return { meta, details };
+}
+
+builder.defineMetaHandler(async ({ type, id, extra, config }) => {
+  const cfg = { ...cfgFromQuery(extra || {}), ...(config || {}) };
+  const loc = locale(cfg);
+
   const m = id.match(/^tmdb:(movie|tv):(\d+)$/i);
   if (m) {
     const tmdbType = m[1] === 'movie' ? 'movie' : 'tv';
     const tmdbId = m[2];
+    const { meta, details } = await richMeta(tmdbType, tmdbId, { id, type, cfg });
 
-    const details = await tmdb(`/${tmdbType}/${tmdbId}`);
-    const title = (details.title || details.name || '').trim();
-    const meta = {
-      id, type,
-      name: title || id,
-      description: details.overview || '',
-      poster: img(details.poster_path),
-      background: details.backdrop_path ? `${TMDB_IMG_BG}${details.backdrop_path}` : undefined,
-      releaseInfo: (details.release_date || details.first_air_date || '').slice(0, 4),
-      seasons: [{ season: 0, name: 'Recommendations' }]
-    };
-
-    const recs = await getRecs({ tmdbType, tmdbId, page: 1 });
-    const first20 = (recs.results || []).slice(0, 20);
-
-    meta.videos = await Promise.all(first20.map(async (item, i) => {
-      let imdb = null;
-      try { imdb = tmdbType === 'movie' ? await imdbForMovie(item.id) : await imdbForTv(item.id); } catch {}
-      const displayTitle = (item.title || item.name || '').trim() || `Recommendation ${i+1}`;
-      const year = (item.release_date || item.first_air_date || '').slice(0, 4);
-      const target = imdb ? `tt:${imdb}` : `tmdb-${item.id}`;
-      const kind   = tmdbType === 'movie' ? 'movie' : 'series';
-      return { season: 0, episode: i + 1, id: `recs:${kind}:${target}`, title: year ? `${displayTitle} (${year})` : displayTitle, overview: item.overview || '', thumbnail: img(item.poster_path) };
-    }));
+    if (tmdbType === 'tv') {
+      const episodes = await tvEpisodeVideos(tmdbId, details, loc, cfg);
+      meta.videos.push(...episodes);
+      meta.seasons.push(...(details.seasons || []).filter(s => s.season_number > 0).map(s => ({ season: s.season_number, name: s.name || `Season ${s.season_number}` })));
+      if (details.in_production || details.next_episode_to_air || episodes.some(v => !v.available)) {
+        meta.behaviorHints = { hasScheduledVideos: true };
+      }
+    }
 
     return { meta };
   }
 
-  // Fallback synthetic page
-  const r = id.match(/^recs:(movie|series):(tt:tt\d+|tmdb-\d+)$/i);
+  const pm = id.match(/^tmdb:person:(\d+)$/i);
+  if (pm) return { meta: await personMeta(pm[1], { id, type, cfg }) };
+
+  const cm = id.match(/^tmdb:collection:(\d+)$/i);
+  if (cm) return { meta: await collectionMeta(cm[1], { id, type, cfg }) };
+
+  // recs:<kind>:tt:<imdb> / recs:<kind>:tmdb-<id> — the title a Season-0 entry points at, with its own recommendations
+  const r = id.match(/^recs:(movie|series):(?:tt:(tt\d+)|tmdb-(\d+))$/i);
   if (r) {
     const isMovie = r[1] === 'movie';
+    const tmdbType = isMovie ? 'movie' : 'tv';
+    const ref = r[2] ? await tmdbForImdb(r[2]) : { tmdbType, tmdbId: r[3] };
+    if (ref?.tmdbType === tmdbType) {
+      try { return { meta: (await richMeta(tmdbType, ref.tmdbId, { id, type: isMovie ? 'movie' : 'series', cfg })).meta }; }
+      catch (e) { warnTmdb(`meta for ${id}`, e); }
+    }
     return { meta: { id, type: isMovie ? 'movie' : 'series', name: 'More recommendations', description: `Additional related ${isMovie ? 'movies' : 'shows'} based on TMDB.`, seasons: [{ season: 0, name: 'Recommendations' }], videos: [] } };
   }
 
+  // similar:<kind>:<tmdbId> — TMDB's "similar" list for a title as Season 0 (the Similar titles stream row)
+  const sm = id.match(/^similar:(movie|series):(\d+)$/i);
+  if (sm) {
+    const tmdbType = sm[1] === 'movie' ? 'movie' : 'tv';
+    let details = {};
+    try { details = await withEnglishFallbackOne(await tmdb(`/${tmdbType}/${sm[2]}`, loc), tmdbType, loc); }
+    catch (e) { warnTmdb(`details for ${tmdbType} ${sm[2]}`, e); }
+    return {
+      meta: {
+        id, type: kindOf(tmdbType),
+        name: titleOf(details) ? `Similar to ${titleOf(details)}` : 'Similar titles',
+        poster: img(details.poster_path, cfg),
+        posterShape: 'poster',
+        background: bg(details.backdrop_path, cfg),
+        description: `${tmdbType === 'movie' ? 'Movies' : 'Shows'} TMDB lists as similar${titleOf(details) ? ` to ${titleQuery(details)}` : ''}.`,
+        seasons: [{ season: 0, name: 'Similar titles' }],
+        videos: await recommendationVideos(tmdbType, sm[2], cfg, { getPage: getSimilar })
+      }
+    };
+  }
+
   return { meta: {} };
 });
 
 // ---------- STREAMS ----------
+const appRow = (label, url, about = '') => ({ name: `APP • ${label}`, description: about ? `${about} · Open in Stremio app` : 'Open in Stremio app', externalUrl: url });
+const webRow = (label, url, about = '') => ({ name: `WEB • ${label}`, description: about ? `${about} · Open in Stremio Web` : 'Open in Stremio Web', externalUrl: url });
+const STREAM_ROW_LABELS = {
+  recs: 'Recommendations', similar: 'Similar titles', collection: 'Same collection', creator: 'More from this creator', search: 'TMDB recs'
+};
+
+// APP/WEB rows for a title page (cfg.streamRows): our Season 0 recommendations and similar: pages, the movie's
+// collection, the show's creator / the movie's director, and a title search that runs the recs rails. Without a
+// TMDB match (ref null) the page rows fall back to that same search and collapse into one row.
+async function titleStreamRows(ref, imdb, cfg) {
+  const loc = locale(cfg);
+  let details = null;
+  if (ref) {
+    try { details = await getFullDetails(ref.tmdbType, ref.tmdbId, loc); }
+    catch (e) { warnTmdb(`details for ${ref.tmdbType} ${ref.tmdbId}`, e); }
+  }
+  const q = (details && titleQuery(details)) || imdb || 'recommendations';
+  const rows = [];
+  const pair = (row, page, about) => rows.push(
+    appRow(STREAM_ROW_LABELS[row], page ? `stremio:///detail/${page.kind}/${page.id}` : `stremio:///search?search=${encodeURIComponent(q)}`, about),
+    webRow(STREAM_ROW_LABELS[row], page ? webDetail(page.kind, page.id) : webSearch(q), about));
+  const kind = ref && kindOf(ref.tmdbType);
+  const collection = ref?.tmdbType === 'movie' && cfg.enableCollections !== false ? details?.belongs_to_collection : null;
+  const creator = details ? peopleOf(details).director.find(p => p.id) : null;
+
+  for (const row of cfg.streamRows || STREAM_ROWS) {
+    if (row === 'recs')                    pair(row, ref && { kind, id: `tmdb:${ref.tmdbType}:${ref.tmdbId}` });
+    if (row === 'similar')                 pair(row, ref && { kind, id: `similar:${kind}:${ref.tmdbId}` });
+    if (row === 'collection' && collection) pair(row, { kind: 'movie', id: `tmdb:collection:${collection.id}` }, collection.name);
+    if (row === 'creator' && creator)      pair(row, { kind: 'series', id: `tmdb:person:${creator.id}` }, creator.name);
+    if (row === 'search')                  pair(row, null);
+  }
+  return uniqBy(rows, r => r.externalUrl);
+}
+
 builder.defineStreamHandler(async ({ id, config, extra }) => {
   const persisted = cfgFromQuery(extra || {});
   const cfg = { ...persisted, ...(config || {}) };
-
-  const appRow = (label, url) => ({ name: `APP • ${label}`, description: 'Open in Stremio app', externalUrl: url });
-  const webRow = (label, url) => ({ name: `WEB • ${label}`, description: 'Open in Stremio Web', externalUrl: url });
+  const loc = locale(cfg);
 
   // Series synthetic recs
   const rs = id.match(/^recs:series:(tt:tt\d+|tmdb-\d+)$/i);
   if (rs) {
     let imdb = rs[1].startsWith('tt:') ? rs[1].slice(3) : null;
     let tmdbId = rs[1].startsWith('tmdb-') ? rs[1].slice(5) : null;
-    if (!tmdbId && imdb) { const f = await tmdbFromImdb(imdb); if (f?.tmdbType === 'tv') tmdbId = String(f.tmdbId); }
-    if (!imdb && tmdbId) imdb = await imdbForTv(tmdbId);
+    if (!tmdbId && imdb) { const f = await tmdbForImdb(imdb); if (f?.tmdbType === 'tv') tmdbId = String(f.tmdbId); }
+    if (!imdb && tmdbId) imdb = await imdbFor('tv', tmdbId);
 
     const streams = [];
     if (imdb) {
@@ -358,7 +2153,7 @@ builder.defineStreamHandler(async ({ id, config, extra }) => {
       streams.push(webRow('Open details', webDetail('series', imdb)));
     } else {
       let title = '', year = '';
-      try { const d = await tmdb(`/tv/${tmdbId}`); title = (d.name || '').trim(); year = (d.first_air_date || '').slice(0,4); } catch {}
+      try { const d = await withEnglishFallbackOne(await tmdb(`/tv/${tmdbId}`, loc), 'tv', loc); title = titleOf(d); year = yearOf(d); } catch (e) { warnTmdb(`details for tv ${tmdbId}`, e); }
       const q = title ? `${title}${year ? ` ${year}` : ''}` : 'recommendations';
       streams.push(appRow('Open details (via search)', `stremio:///search?search=${encodeURIComponent(q)}`));
       streams.push(webRow('Open details (via search)', webSearch(q)));
@@ -376,8 +2171,8 @@ builder.defineStreamHandler(async ({ id, config, extra }) => {
   if (rm) {
     let imdb = rm[1].startsWith('tt:') ? rm[1].slice(3) : null;
     let tmdbId = rm[1].startsWith('tmdb-') ? rm[1].slice(5) : null;
-    if (!tmdbId && imdb) { const f = await tmdbFromImdb(imdb); if (f?.tmdbType === 'movie') tmdbId = String(f.tmdbId); }
-    if (!imdb && tmdbId) imdb = await imdbForMovie(tmdbId);
+    if (!tmdbId && imdb) { const f = await tmdbForImdb(imdb); if (f?.tmdbType === 'movie') tmdbId = String(f.tmdbId); }
+    if (!imdb && tmdbId) imdb = await imdbFor('movie', tmdbId);
 
     const streams = [];
     if (imdb) {
@@ -385,7 +2180,7 @@ builder.defineStreamHandler(async ({ id, config, extra }) => {
       streams.push(webRow('Open details', webDetail('movie', imdb)));
     } else {
       let title = '', year = '';
-      try { const d = await tmdb(`/movie/${tmdbId}`); title = (d.title || '').trim(); year = (d.release_date || '').slice(0,4); } catch {}
+      try { const d = await withEnglishFallbackOne(await tmdb(`/movie/${tmdbId}`, loc), 'movie', loc); title = titleOf(d); year = yearOf(d); } catch (e) { warnTmdb(`details for movie ${tmdbId}`, e); }
       const q = title ? `${title}${year ? ` ${year}` : ''}` : 'recommendations';
       streams.push(appRow('Open details (via search)', `stremio:///search?search=${encodeURIComponent(q)}`));
       streams.push(webRow('Open details (via search)', webSearch(q)));
@@ -398,36 +2193,14 @@ builder.defineStreamHandler(async ({ id, config, extra }) => {
     return { streams };
   }
 
-  // Normal IMDb items → use Title+Year for TV search
+  // Title pages (IMDb or tmdb: ids, episodes included) → navigation rows, see titleStreamRows()
   const imdbMatch = id.match(/^(tt\d+)(?::\d+:\d+)?$/i);
-  if (imdbMatch) {
-    if (cfg.enableStreamsRecs === false) return { streams: [] };
-    const imdb = imdbMatch[1];
-    const qTitle = (await titleQueryForImdb(imdb)) || imdb;
-    return {
-      streams: [
-        appRow('TMDB recs', `stremio:///search?search=${encodeURIComponent(qTitle)}`),
-        webRow('TMDB recs', webSearch(qTitle))
-      ]
-    };
-  }
-
-  // tmdb fallback ids → Title+Year preferred
   const t = id.match(/^tmdb:(movie|tv):(\d+)(?::\d+:\d+)?$/i);
-  if (t) {
+  if (imdbMatch || t) {
     if (cfg.enableStreamsRecs === false) return { streams: [] };
-    const tmdbType = t[1] === 'movie' ? 'movie' : 'tv';
-    const tmdbId   = t[2];
-    let imdb = null, title = '', year = '';
-    try { imdb = tmdbType === 'movie' ? await imdbForMovie(tmdbId) : await imdbForTv(tmdbId); } catch {}
-    try { const d = await tmdb(`/${tmdbType}/${tmdbId}`); title = (d.title || d.name || '').trim(); year = (d.release_date || d.first_air_date || '').slice(0,4); } catch {}
-    const qTitle = title ? `${title}${year ? ` ${year}` : ''}` : (imdb || 'recommendations');
-    return {
-      streams: [
-        appRow('TMDB recs', `stremio:///search?search=${encodeURIComponent(qTitle)}`),
-        webRow('TMDB recs', webSearch(qTitle))
-      ]
-    };
+    const imdb = imdbMatch ? imdbMatch[1].toLowerCase() : null;
+    const ref = t ? { tmdbType: t[1].toLowerCase() === 'movie' ? 'movie' : 'tv', tmdbId: t[2] } : await tmdbForImdb(imdb);
+    return { streams: await titleStreamRows(ref, imdb, cfg) };
   }
 
   return { streams: [] };
@@ -446,30 +2219,127 @@ app.use((req, res, next) => {
   next();
 });
 
+// request id, access log and HTTP metrics. Profile tokens never reach logs or labels.
+const ROUTE_NAMES = new Set(['manifest.json', 'configure', 'preview', 'profile', 'history', 'health', 'ready', 'metrics', 'cache', 'poster', 'export', 'feeds']);
+// a bounded set of catalog labels: the built-in catalogs, custom rails as one label, anything else 'other'
+const CATALOG_IDS = new Set(manifest.catalogs.map(c => c.id));
+const catalogLabel = (id) => CATALOG_IDS.has(id) ? id : /^tmdb-custom-\d+$/.test(id) ? 'tmdb-custom' : 'other';
+function routeLabels(req) {
+  const parts = req.path.split('/').filter(Boolean);
+  if (TOKEN_RE.test(parts[0] || '') && parts.length > 1) parts.shift();
+  const [first = '', , third = ''] = parts;
+  if (['catalog', 'meta', 'stream'].includes(first)) {
+    return { resource: first, catalog: first === 'catalog' ? catalogLabel(third.replace(/\.json$/, '')) : '' };
+  }
+  return { resource: ROUTE_NAMES.has(first) ? first.replace(/\.json$/, '') : (first ? 'other' : 'root'), catalog: '' };
+}
+const logPath = (req) => req.path.replace(/^\/[A-Za-z0-9_-]{16,64}(?=\/)/, '/:token');
+
+app.use((req, res, next) => {
+  const reqId = /^[\w.-]{1,64}$/.test(req.get('x-request-id') || '') ? req.get('x-request-id') : randomBytes(8).toString('hex');
+  res.setHeader('X-Request-Id', reqId);
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const labels = routeLabels(req);
+    inc('http_requests_total', { ...labels, status: String(res.statusCode) });
+    observe('http_request_duration_seconds', labels, seconds);
+    const quiet = ['health', 'ready', 'metrics', 'poster'].includes(labels.resource);
+    log(quiet ? 'debug' : 'info', 'request', {
+      reqId, method: req.method, path: logPath(req), status: res.statusCode, ms: Math.round(seconds * 1000), ...labels
+    });
+  });
+  requestContext.run({ reqId }, next);
+});
+
+// 500 with the request id, so a report can be matched to its log lines
+function fail(res, e) {
+  log('error', 'handler failed', { err: e?.message || String(e), stack: e?.stack });
+  if (!res.headersSent) res.status(500).json({ err: String(e?.message || e), reqId: res.getHeader('X-Request-Id') });
+}
+
 app.get('/', (req, res) => res.redirect('/configure'));
 
-app.get('/configure', async (req, res) => {
+app.get('/configure', (req, res) => renderConfigure(req, res, cfgFromQuery(req.query), null).catch(e => fail(res, e)));
+app.get('/:token/configure', (req, res) => {
+  const cfg = profileCfg(req.params.token);
+  if (!cfg) return res.status(404).type('text').send('Unknown profile. Save your settings again on /configure.');
+  renderConfigure(req, res, cfg, req.params.token).catch(e => fail(res, e));
+});
+
+// a full profile store refuses new profiles (see profileRefused())
+const refuseProfile = (res) => res.status(503).set('Retry-After', '3600').type('text')
+  .send('This server is not taking new profiles right now. Try again later, or install without saving (the settings stay in the URL).');
+
+// save settings: a new profile from /configure, or an edit of /<token>/configure
+const parseForm = express.urlencoded({ extended: false, limit: '10mb' });
+app.post(['/profile', '/:token/configure'], parseForm, (req, res) => {
+  const token = req.params.token || newToken();
+  if (req.params.token && !profileCfg(token)) return res.status(404).type('text').send('Unknown profile.');
+  if (profileRefused(token)) return refuseProfile(res);
+  const { profile, ...settings } = Object.fromEntries(cfgToParams(cfgFromQuery(req.body || {})));
+  // a history imported on a query-flag install moves into the new profile
+  const history = !req.params.token && profile ? getProfile(profile) : null;
+  putProfile(token, { settings, ...(history?.history ? { history: history.history, unmatched: history.unmatched } : {}) });
+  res.redirect(303, `/${token}/configure?saved=1`);
+});
+
+async function renderConfigure(req, res, q, token) {
   const base = `${req.protocol}://${req.get('host')}`;
-  const q = cfgFromQuery(req.query);
-  const params = new URLSearchParams();
-  params.set('onair',   q.enableOnAir ? '1' : '0');
-  params.set('recsTv',  q.enableRecsTv ? '1' : '0');
-  params.set('recsMov', q.enableRecsMovie ? '1' : '0');
-  params.set('streams', q.enableStreamsRecs ? '1' : '0');
-  params.set('compat',  q.compatPopularImdb ? '1' : '0');
+  const params = cfgToParams(q);
+  if (token) params.delete('profile');
 
-  const manifestHttp = `${base}/manifest.json?${params.toString()}`;
-  const manifestDeep = `stremio://${req.get('host')}/manifest.json?${params.toString()}`; // install button (works on desktop/mobile that support stremio://)
+  // saved profile → short URL with the settings on the server; otherwise everything in query flags
+  const manifestPath = token ? `/${token}/manifest.json` : `/manifest.json?${params.toString()}`;
+  const manifestHttp = `${base}${manifestPath}`;
+  const manifestDeep = `stremio://${req.get('host')}${manifestPath}`; // install button (works on desktop/mobile that support stremio://)
 
   const webAddonsUrl = `https://web.stremio.com/#/addons/community`;
+  // export & feed URLs carry the same settings as the manifest
+  const feedUrl = (path) => token ? `${base}/${token}${path}` : `${base}${path}?${params}`;
+
+  // imported history behind ?profile=
+  const profile = q.profile ? getProfile(q.profile) : null;
+  const historyCounts = profile?.history ? {
+    movies: profile.history.filter(h => h.tmdbType === 'movie').length,
+    series: profile.history.filter(h => h.tmdbType === 'tv').length
+  } : null;
+
+  // unchecked boxes must still send "0" (see cfgFromQuery)
+  const sizeSelect = (name, value) => `<select name="${name}">${PAGE_SIZES.map(n => `<option${n === value ? ' selected' : ''}>${n}</option>`).join('')}</select>`;
+  const check = (name, on) => `<input type="hidden" name="${name}" value="0"/><input type="checkbox" name="${name}" value="1" ${on ? 'checked' : ''}/>`;
+
+  // catalog editor rows; custom rails carry their definition in data-rail
+  const railRow = (c, cfg) => {
+    const r = cfg.rails.find(x => x.id === c.id) || { id: c.id };
+    const def = manifest.catalogs.find(x => x.id === c.id);
+    const what = r.seed ? `recs for ${escapeHtml(r.seed)}` : r.discover ? `discover ${escapeHtml(Object.entries(r.discover).map(([k, v]) => `${k}=${v}`).join(' '))}` : escapeHtml(c.id);
+    const off = CATALOG_FLAGS[c.id] && cfg[CATALOG_FLAGS[c.id]] === false;
+    return `<tr data-id="${c.id}"${r.type ? ` data-rail="${escapeHtml(JSON.stringify({ ...r, name: undefined, hide: undefined }))}"` : ''}>
+      <td><input type="checkbox" class="railShow" ${r.hide ? '' : 'checked'} title="Show this row"/></td>
+      <td><input type="text" class="railName" size="28" value="${escapeHtml(r.name || '')}" placeholder="${escapeHtml(def?.name || 'My rail')}"/></td>
+      <td>${c.type}</td><td>${what}${off ? ' (switched off above)' : ''}</td>
+      <td><button type="button" class="btn alt railUp">↑</button> <button type="button" class="btn alt railDown">↓</button>${r.type ? ' <button type="button" class="btn alt railDel">✕</button>' : ''}</td>
+    </tr>`;
+  };
+  const [tvGenres, movieGenres] = await Promise.all([getGenres('tv', locale(q)), getGenres('movie', locale(q))]);
+  const genreChoices = [...new Set([...tvGenres, ...movieGenres].map(g => g.name))];
+  const genreIdChoices = uniqBy([...movieGenres, ...tvGenres], g => g.id).sort((a, b) => a.name.localeCompare(b.name));
+  const [movieCerts, tvCerts] = await Promise.all([getCertifications('movie', watchRegion(q)), getCertifications('tv', watchRegion(q))]);
+  const certSelect = (name, certs, value) => `<select name="${name}"><option value="">any</option>${
+    [...certs.map(c => c.certification), ...(value && !certs.some(c => c.certification === value) ? [value] : [])]
+      .map(c => `<option value="${escapeHtml(c)}"${c === value ? ' selected' : ''}>${escapeHtml(c)}</option>`).join('')}</select>`;
+
+  // provider picker: popular services for the region, plus anything already selected
+  const providerChoices = (await getRegionProviders(q)).filter((p, i) => i < 40 || q.providers.includes(String(p.provider_id)));
 
   // pick a trending backdrop
   let bgUrl = '';
   try {
-    const trending = await tmdb('/trending/all/week', { page: '1' });
+    const trending = await tmdb('/trending/all/week', { ...locale(q), page: '1' });
     const withBg = (trending.results || []).find(x => x.backdrop_path);
-    if (withBg?.backdrop_path) bgUrl = `${TMDB_IMG_BG}${withBg.backdrop_path}`;
-  } catch {}
+    if (withBg?.backdrop_path) bgUrl = bg(withBg.backdrop_path, q);
+  } catch (e) { warnTmdb('trending backdrop', e); }
 
   res.type('html').send(`<!doctype html>
 <html lang="en">
@@ -507,8 +2377,20 @@ app.get('/configure', async (req, res) => {
   .btn.alt{background:var(--glass2);color:var(--text);border:1px solid var(--stroke)}
   label{display:inline-flex;align-items:center;gap:8px;margin:6px 10px 6px 0}
   input[type=checkbox]{transform:scale(1.1)}
+  input[type=text],input[type=number]{background:var(--glass2);color:var(--text);border:1px solid var(--stroke);border-radius:8px;padding:6px 8px;font:inherit}
   pre{white-space:pre-wrap;font-family:ui-monospace,Menlo,Consolas,monospace;background:var(--glass2);border:1px solid var(--stroke);padding:10px;border-radius:10px}
   .small{font-size:13px;color:var(--muted)}
+  .providers{display:flex;flex-wrap:wrap;gap:2px 4px;margin-top:6px}
+  .providers img{width:22px;height:22px;border-radius:5px;vertical-align:middle}
+  table.rails{border-collapse:collapse;margin:6px 0;width:100%}
+  table.rails td{padding:2px 6px;border-bottom:1px solid var(--stroke)}
+  table.rails .btn{padding:2px 8px}
+  .strip{display:flex;gap:8px;overflow-x:auto;padding:4px 0 10px}
+  .strip .tile{flex:0 0 96px;font-size:12px;color:var(--muted)}
+  .strip .tile a{color:var(--text);text-decoration:none}
+  .strip img{width:96px;height:144px;object-fit:cover;border-radius:8px;background:var(--glass2);display:block;margin-bottom:4px}
+  .strip .links a{display:block;color:var(--accent);font-size:11px}
+  h3.rail{margin:10px 0 2px;font-size:15px}
 </style>
 </head>
 <body>
@@ -520,7 +2402,7 @@ app.get('/configure', async (req, res) => {
 
     <section class="card">
       <h2>Intro</h2>
-      <p>Add Season-0 <b>Recommendations</b> on title pages (top 20 from TMDB) and optional discovery rails: <b>On the air</b>, <b>Popular series</b>, and <b>Popular movies</b>.</p>
+      <p>Add Season-0 <b>Recommendations</b> on title pages (TMDB’s top ${q.season0Size}; 20, 50 or 100, see <i>Titles per page</i> below) and optional discovery rails: <b>On the air</b>, <b>Popular series</b>, <b>Popular movies</b>, and filterable <b>Discover</b> rails (pick a genre from Stremio’s dropdown).</p>
       <p class="small">Note: Stremio Web opens external links in a new tab by design. Use Season-0 or install in the app for the smoothest flow.</p>
     </section>
 
@@ -539,21 +2421,99 @@ app.get('/configure', async (req, res) => {
           <h3>From Streams</h3>
           <ol>
             <li>Open any movie/series page.</li>
-            <li>In <b>Streams</b>, pick <b>APP • TMDB recs</b> (native) or <b>WEB • TMDB recs</b>.</li>
+            <li>In <b>Streams</b>, pick <b>APP • Recommendations</b> (native) or <b>WEB • Recommendations</b> for its Season-0 recommendations page.</li>
+            <li>Or jump to <b>Similar titles</b>, the movie’s <b>Same collection</b> or <b>More from this creator</b>; <b>TMDB recs</b> runs a search that fills the recommendation rails. Pick which rows show up next to “Streams helpers” below.</li>
           </ol>
+          <h3>From a person</h3>
+          <p class="small">Search a name to get a <b>People</b> row, or follow a cast or director link on any title page. The person page lists their series and movies; pick one and use <b>Open details</b>.</p>
+          <h3>Franchises</h3>
+          <p class="small">Movies that belong to a franchise list it in <b>Season 1 (Collection)</b>, in release order. Search a franchise name to get a <b>Collections</b> row.</p>
+          <h3>From Search</h3>
+          <p class="small">Search several titles or IMDb ids at once, comma separated (e.g. <i>Dark, Severance, tt0944947</i>), to get one blended <b>TMDB Recommendations</b> row. Add a year to pick a version (<i>Dune 1984</i>); if a title is still ambiguous, a <b>Did you mean…</b> row lists the closest matches.</p>
         </div>
       </div>
     </section>
 
     <section class="card">
       <h2>Configure & Install</h2>
-      <form id="cfgForm" class="row" action="/configure" method="GET">
-        <label><input type="checkbox" name="onair"  ${q.enableOnAir ? 'checked' : ''}/> On the air (TV)</label>
-        <label><input type="checkbox" name="recsTv" ${q.enableRecsTv ? 'checked' : ''}/> Recs rail (TV)</label>
-        <label><input type="checkbox" name="recsMov" ${q.enableRecsMovie ? 'checked' : ''}/> Recs rail (Movies)</label>
-        <label><input type="checkbox" name="streams" ${q.enableStreamsRecs ? 'checked' : ''}/> Streams helpers</label>
-        <label><input type="checkbox" name="compat" ${q.compatPopularImdb ? 'checked' : ''}/> Popular rails: IMDb compatibility</label>
-        <button class="btn" type="submit">Apply</button>
+      ${token ? `<p class="small">Editing saved profile <code>${token}</code>${req.query.saved ? ' — saved. Installed copies pick up the changes on their next request.' : '.'} Bookmark this page to change settings later.</p>` : ''}
+      <form id="cfgForm" class="row" action="${token ? `/${token}/configure` : '/configure'}" method="${token ? 'POST' : 'GET'}">
+        <label>${check('onair', q.enableOnAir)} On the air (TV)</label>
+        <label>${check('today', q.enableAiringToday)} Airing today (TV)</label>
+        <label>${check('week', q.enableNextWeek)} Next 7 days (TV)</label>
+        <label>${check('premieres', q.enablePremieres)} Season premieres (TV)</label>
+        <label>Timezone <input type="text" name="tz" id="tzInput" size="14" value="${q.timezone}" placeholder="Europe/Berlin"/></label>
+        <label>${check('recsTv', q.enableRecsTv)} Recs rail (TV)</label>
+        <label>${check('recsMov', q.enableRecsMovie)} Recs rail (Movies)</label>
+        <label>${check('streams', q.enableStreamsRecs)} Streams helpers:</label>
+        <span><input type="hidden" name="sRows" value=""/>${STREAM_ROWS.map(r => `<label><input type="checkbox" name="sRows" value="${r}" ${q.streamRows.includes(r) ? 'checked' : ''}/> ${STREAM_ROW_LABELS[r]}</label>`).join(' ')}</span>
+        <label>${check('compat', q.compatPopularImdb)} Popular rails: IMDb compatibility</label>
+        <label>Language <input type="text" name="lang" list="langList" size="6" value="${q.language}" placeholder="en-GB"/></label>
+        <label>Region <input type="text" name="region" size="3" maxlength="2" value="${q.region}" placeholder="e.g. DE"/></label>
+        <label>${check('discover', q.enableDiscover)} Discover rails</label>
+        <label>${check('similar', q.useSimilar)} Recs rails: use “similar” titles</label>
+        <label>${check('didYouMean', q.enableCandidates)} “Did you mean…” rows</label>
+        <label>${check('people', q.enablePeople)} People catalog</label>
+        <label>${check('collections', q.enableCollections)} Collections</label>
+        <label>Person pages <select name="pSort">
+          <option value="popularity" ${q.personSort === 'popularity' ? 'selected' : ''}>most popular first</option>
+          <option value="date" ${q.personSort === 'date' ? 'selected' : ''}>newest first</option>
+        </select></label>
+        <label>Titles per page: rails ${sizeSelect('pageSize', q.pageSize)} recs ${sizeSelect('recsSize', q.recsPageSize)} Season 0 ${sizeSelect('s0Size', q.season0Size)}</label>
+        <label>Image quality <select name="img">${Object.keys(IMAGE_SIZES).map(k => `<option${k === q.imageQuality ? ' selected' : ''}>${k}</option>`).join('')}</select></label>
+        <label>${check('locPosters', q.localPosters)} Posters in my language</label>
+        <label>${check('overlay', q.posterOverlay)} Poster overlay: TMDB score &amp; new episodes</label>
+        <div class="row small" style="width:100%">
+          <b>Content filters</b> (every rail, Season 0 and recommendations; with a maximum set, titles without a rating in ${watchRegion(q)} are hidden too):
+          <label>${check('noAdult', q.excludeAdult)} Hide adult titles</label>
+          <label>Movies up to ${certSelect('certMovie', movieCerts, q.maxCertMovie)}</label>
+          <label>Series up to ${certSelect('certTv', tvCerts, q.maxCertTv)}</label>
+          <label>Hide keywords <input type="text" name="exKw" size="24" value="${escapeHtml(q.excludeKeywords.join(', '))}" placeholder="anime, gore"/></label>
+          <div style="width:100%">Hide genres: ${genreIdChoices.map(g => `<label><input type="checkbox" name="exGenres" value="${g.id}" ${q.excludeGenres.includes(String(g.id)) ? 'checked' : ''}/> ${escapeHtml(g.name)}</label>`).join(' ')}</div>
+          <label style="width:100%">Blocked titles <input type="text" name="block" style="width:60%" value="${escapeHtml(q.blocklist.map(blockRef).join(', '))}" placeholder="tt0944947, https://www.themoviedb.org/movie/603"/></label>
+        </div>
+        <div class="row small" style="width:100%">
+          <b>Discover filters</b> (also used when a genre is picked on any rail):
+          <label>Years <input type="number" name="yFrom" min="1900" max="2100" style="width:6em" value="${q.yearFrom ?? ''}"/> – <input type="number" name="yTo" min="1900" max="2100" style="width:6em" value="${q.yearTo ?? ''}"/></label>
+          <label>Min rating <input type="number" name="minVote" min="0" max="10" step="0.5" style="width:5em" value="${q.minRating ?? ''}"/></label>
+          <label>Min votes <input type="number" name="minVotes" min="0" style="width:6em" value="${q.minVotes ?? ''}"/></label>
+          <label>Original language <input type="text" name="origLang" size="3" maxlength="2" value="${q.originalLanguage}" placeholder="ko"/></label>
+          <label>Network id (TV) <input type="text" name="network" size="5" value="${q.network}" placeholder="213"/></label>
+        </div>
+        <div class="small" style="width:100%">
+          <b>My streaming services</b> (${watchRegion(q)}) — shown on title pages and recommendations:
+          <label>${check('myProv', q.onlyMyProviders)} Popular, Discover & Recommendations: only titles on these services</label>
+          <div class="providers">
+            ${providerChoices.map(p => `<label title="${escapeHtml(p.provider_name)}"><input type="checkbox" name="prov" value="${p.provider_id}" ${q.providers.includes(String(p.provider_id)) ? 'checked' : ''}/>${p.logo_path ? `<img src="${TMDB_IMG_LOGO}${p.logo_path}" alt=""/>` : ''} ${escapeHtml(p.provider_name)}</label>`).join('')}
+          </div>
+        </div>
+        <div class="small" style="width:100%">
+          <b>Catalogs</b> — rename, reorder or hide rows, and add your own rails (rows switched off above stay hidden):
+          <table class="rails" id="railsTable">
+            ${layoutCatalogs(q).map(c => railRow(c, q)).join('')}
+          </table>
+          <div class="row">
+            <b>Add a rail</b>
+            <select id="newType"><option value="series">Series</option><option value="movie">Movies</option></select>
+            <input type="text" id="newName" size="16" placeholder="Name"/>
+            <input type="text" id="newSeed" size="22" placeholder="Seed titles (Dark, Severance)"/>
+            <span>or filter:</span>
+            <input type="text" id="newGenre" size="10" list="genreList" placeholder="Genre"/>
+            <input type="number" id="newYFrom" min="1900" max="2100" style="width:6em" placeholder="from"/>
+            <input type="number" id="newYTo" min="1900" max="2100" style="width:6em" placeholder="to"/>
+            <input type="number" id="newMinVote" min="0" max="10" step="0.5" style="width:5em" placeholder="rating"/>
+            <select id="newSort"><option value="popularity">most popular</option><option value="rating">top rated</option><option value="newest">newest</option></select>
+            <button class="btn alt" type="button" id="addRail">Add</button>
+          </div>
+          <input type="hidden" name="rails" id="railsInput" value="${escapeHtml(q.rails.length ? JSON.stringify(q.rails) : '')}"/>
+          <datalist id="genreList">${genreChoices.map(g => `<option value="${escapeHtml(g)}">`).join('')}</datalist>
+        </div>
+        ${q.profile && !token ? `<input type="hidden" name="profile" value="${q.profile}"/>` : ''}
+        <datalist id="langList">${['en-GB','en-US','de-DE','fr-FR','es-ES','es-MX','it-IT','pt-BR','pt-PT','nl-NL','sv-SE','pl-PL','tr-TR','ru-RU','ja-JP','ko-KR','zh-CN'].map(l => `<option value="${l}">`).join('')}</datalist>
+        ${token
+          ? `<button class="btn" type="submit">Save</button>`
+          : `<button class="btn" type="submit">Apply</button>
+        <button class="btn alt" type="submit" formaction="/profile" formmethod="POST" title="Keep these settings on the server for a short install URL you can edit later">Save as profile</button>`}
       </form>
 
       <div class="row" style="margin-top:12px">
@@ -564,9 +2524,164 @@ app.get('/configure', async (req, res) => {
       <p class="small" style="margin-top:10px">If the Install button does nothing, copy the URL below and use “Install via URL” in Stremio Web/Desktop.</p>
       <pre class="mono" id="manifestUrl">${manifestHttp}</pre>
     </section>
+
+    <section class="card">
+      <h2>Preview</h2>
+      <p class="small">What the settings above give you, before you install or save them: the first titles of every rail, and the Season 0 recommendations of any title page.</p>
+      <div class="row"><button class="btn alt" type="button" id="previewBtn">Preview rails</button></div>
+      <div id="previewRails"></div>
+      <form id="recsForm" class="row" style="margin-top:12px">
+        <input type="text" id="recsTitle" size="30" placeholder="A title or IMDb id, e.g. Dune 1984"/>
+        <select id="recsType"><option value="">Series or movie</option><option value="series">Series</option><option value="movie">Movie</option></select>
+        <button class="btn alt" type="submit">Show recommendations</button>
+      </form>
+      <div id="recsResult"></div>
+    </section>
+
+    <section class="card">
+      <h2>Export & feeds</h2>
+      <p class="small">The rails outside Stremio, with the settings above${token ? ' (saved profile)' : ' (apply them first)'}. Subscribe to the feed and the calendar in a feed reader or calendar app; they refresh every few hours.</p>
+      <ul class="small">
+        <li>New episodes and new popular titles (RSS): <a href="${escapeHtml(feedUrl('/feeds/new.rss'))}">new.rss</a></li>
+        <li>Any rail as a file, e.g. <a href="${escapeHtml(feedUrl('/export/series/tmdb-on-air.csv'))}">On The Air as CSV</a> or <a href="${escapeHtml(feedUrl('/export/movie/tmdb-popular-movies.json'))}">Popular movies as JSON</a>. Use any catalog id from the layout above; add <code>skip=</code> for later pages.</li>
+      </ul>
+      <form class="row" method="GET" action="${token ? `/${token}` : ''}/feeds/schedule.ics">
+        ${token ? '' : [...params].map(([k, v]) => `<input type="hidden" name="${escapeHtml(k)}" value="${escapeHtml(v)}"/>`).join('')}
+        <input type="text" name="shows" size="40" placeholder="Severance, tt0944947, https://www.themoviedb.org/tv/1396"/>
+        <button class="btn alt" type="submit">Airing schedule (.ics)</button>
+      </form>
+    </section>
+
+    <section class="card">
+      <h2>Watch history</h2>
+      <p class="small">Import a Trakt or Letterboxd CSV export, or paste a list of IMDb ids, to get <b>For you</b> rows built from everything you watched (already-seen titles are left out). The file is matched against TMDB only and kept on this server under a random profile token that is added to your manifest URL; reinstall after importing.</p>
+      ${historyCounts ? `<p class="small">Profile <code>${q.profile}</code>: ${historyCounts.movies} movies, ${historyCounts.series} series${profile.unmatched ? ` (${profile.unmatched} entries not matched)` : ''}, updated ${escapeHtml(profile.updated.slice(0, 10))}. Importing again replaces this history.</p>`
+        : q.profile && !profile ? `<p class="small">Profile <code>${q.profile}</code> is not known on this server (anymore). Import again to recreate it.</p>` : ''}
+      <form method="POST" action="${token ? `/${token}/history` : '/history'}">
+        ${[...params].map(([k, v]) => `<input type="hidden" name="${escapeHtml(k)}" value="${escapeHtml(v)}"/>`).join('')}
+        <div class="row"><input type="file" id="historyFile" accept=".csv,.txt,text/csv,text/plain"/></div>
+        <textarea name="history" id="historyText" rows="6" style="width:100%;margin-top:8px" placeholder="tt0903747&#10;tt0944947&#10;… or the contents of a CSV export"></textarea>
+        <div class="row" style="margin-top:8px"><button class="btn" type="submit">Import history</button></div>
+      </form>
+    </section>
   </div>
 
 <script>
+  // first visit: suggest the browser's timezone
+  const tzInput = document.getElementById('tzInput');
+  if (!new URLSearchParams(location.search).has('tz')) {
+    try { tzInput.value = Intl.DateTimeFormat().resolvedOptions().timeZone || tzInput.value; } catch {}
+  }
+
+  // catalog editor → hidden "rails" field (left empty while the layout is untouched)
+  const railsTable = document.getElementById('railsTable');
+  const defaultOrder = ${JSON.stringify(manifest.catalogs.map(c => c.id))};
+  railsTable.addEventListener('click', (e) => {
+    const row = e.target.closest('tr');
+    if (!row) return;
+    if (e.target.classList.contains('railUp') && row.previousElementSibling) row.parentNode.insertBefore(row, row.previousElementSibling);
+    if (e.target.classList.contains('railDown') && row.nextElementSibling) row.parentNode.insertBefore(row.nextElementSibling, row);
+    if (e.target.classList.contains('railDel')) row.remove();
+  });
+  document.getElementById('addRail').addEventListener('click', () => {
+    const val = (id) => document.getElementById(id).value.trim();
+    const rail = { type: val('newType') };
+    if (val('newSeed')) rail.seed = val('newSeed');
+    else {
+      rail.discover = { sort: val('newSort') };
+      if (val('newGenre')) rail.discover.genre = val('newGenre');
+      if (val('newYFrom')) rail.discover.yFrom = Number(val('newYFrom'));
+      if (val('newYTo')) rail.discover.yTo = Number(val('newYTo'));
+      if (val('newMinVote')) rail.discover.minVote = Number(val('newMinVote'));
+    }
+    const used = [...railsTable.querySelectorAll('tr')].map(r => Number((r.dataset.id.match(/^tmdb-custom-(\\d+)$/) || [])[1] || 0));
+    rail.id = 'tmdb-custom-' + (Math.max(0, ...used) + 1);
+    const row = document.createElement('tr');
+    row.dataset.id = rail.id;
+    row.dataset.rail = JSON.stringify(rail);
+    row.innerHTML = '<td><input type="checkbox" class="railShow" checked/></td><td><input type="text" class="railName" size="28"/></td>' +
+      '<td>' + rail.type + '</td><td></td>' +
+      '<td><button type="button" class="btn alt railUp">↑</button> <button type="button" class="btn alt railDown">↓</button> <button type="button" class="btn alt railDel">✕</button></td>';
+    row.querySelector('.railName').value = val('newName') || (rail.seed ? 'Because you like ' + rail.seed : 'My rail');
+    row.querySelector('td:nth-child(4)').textContent = (rail.seed ? 'recs for ' + rail.seed : 'discover') + ' (new)';
+    railsTable.appendChild(row);
+  });
+  const syncRails = () => {
+    const rows = [...railsTable.querySelectorAll('tr')];
+    const rails = rows.map(row => {
+      const rail = Object.assign(row.dataset.rail ? JSON.parse(row.dataset.rail) : {}, { id: row.dataset.id });
+      const name = row.querySelector('.railName').value.trim();
+      if (name) rail.name = name;
+      if (!row.querySelector('.railShow').checked) rail.hide = true;
+      return rail;
+    });
+    const untouched = rails.length === defaultOrder.length && rails.every((r, i) => r.id === defaultOrder[i] && Object.keys(r).length === 1);
+    document.getElementById('railsInput').value = untouched ? '' : JSON.stringify(rails);
+  };
+  document.getElementById('cfgForm').addEventListener('submit', syncRails);
+
+  // live preview of the (unsaved) form through the add-on's own handlers; a saved profile keeps its history
+  const profileToken = ${JSON.stringify(token || '')};
+  const previewParams = () => {
+    syncRails();
+    const p = new URLSearchParams(new FormData(document.getElementById('cfgForm')));
+    if (profileToken) p.set('profile', profileToken);
+    return p;
+  };
+  const el = (tag, props, ...children) => {
+    const node = Object.assign(document.createElement(tag), props || {});
+    for (const c of children) if (c != null) node.append(c);
+    return node;
+  };
+  const tile = (item) => el('div', { className: 'tile' },
+    el('a', { href: item.links[0] ? item.links[0].url : '#', title: item.name },
+      item.poster ? el('img', { src: item.poster, alt: '', loading: 'lazy' }) : el('img', { alt: '' }),
+      item.name),
+    item.releaseInfo ? el('div', null, item.releaseInfo) : null,
+    el('div', { className: 'links' }, ...item.links.map(l => el('a', { href: l.url }, l.name))));
+  const loadJson = async (url, box) => {
+    box.replaceChildren(el('p', { className: 'small' }, 'Loading…'));
+    try {
+      const r = await fetch(url);
+      const body = await r.json();
+      if (!r.ok) throw new Error(body.err || r.status);
+      return body;
+    } catch (e) { box.replaceChildren(el('p', { className: 'small' }, 'Preview failed: ' + e.message)); return null; }
+  };
+  document.getElementById('previewBtn').addEventListener('click', async () => {
+    const box = document.getElementById('previewRails');
+    const body = await loadJson('/preview/catalogs?' + previewParams(), box);
+    if (!body) return;
+    box.replaceChildren(...body.rails.flatMap(rail => [
+      el('h3', { className: 'rail' }, rail.name + (rail.type === 'movie' ? ' · movies' : ' · series')),
+      rail.error ? el('p', { className: 'small' }, 'Failed: ' + rail.error)
+        : rail.metas.length ? el('div', { className: 'strip' }, ...rail.metas.map(tile))
+        : el('p', { className: 'small' }, 'Empty with these settings.')
+    ]), el('p', { className: 'small' }, body.skipped.length ? 'Search-only rows (' + body.skipped.join(', ') + ') appear when you search in Stremio.' : ''));
+  });
+  document.getElementById('recsForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const title = document.getElementById('recsTitle').value.trim();
+    if (!title) return;
+    const p = previewParams();
+    p.set('title', title);
+    p.set('type', document.getElementById('recsType').value);
+    const box = document.getElementById('recsResult');
+    const body = await loadJson('/preview/recs?' + p, box);
+    if (!body) return;
+    if (!body.title) return box.replaceChildren(el('p', { className: 'small' }, 'No title found for “' + title + '”.'));
+    box.replaceChildren(
+      el('h3', { className: 'rail' }, 'Season 0 of ' + body.title.name + (body.title.releaseInfo ? ' (' + body.title.releaseInfo + ')' : '')),
+      body.recommendations.length ? el('div', { className: 'strip' }, ...body.recommendations.map(tile))
+        : el('p', { className: 'small' }, 'No recommendations with these settings.'));
+  });
+
+  // history file → textarea (nothing is uploaded until "Import history")
+  document.getElementById('historyFile').addEventListener('change', async (e) => {
+    const f = e.target.files[0];
+    if (f) document.getElementById('historyText').value = await f.text();
+  });
+
   // same-tab for the Web link
   document.getElementById('openWeb').setAttribute('target','_self');
 
@@ -579,41 +2694,310 @@ app.get('/configure', async (req, res) => {
 </script>
 </body>
 </html>`);
+}
+
+// ---------- configure preview ----------
+// Backs the Preview card of /configure: the page's current settings as query flags, answered by the add-on's
+// own handlers (iface.get), so the preview shows exactly what an install with these settings would get.
+const PREVIEW_POSTERS = 12;
+const previewItem = (m, links) => ({ id: m.id, name: m.name || m.title, releaseInfo: m.releaseInfo, poster: m.poster || m.thumbnail, links });
+const detailLinks = (kind, id) => [
+  { name: 'APP • Open details', url: `stremio:///detail/${kind}/${id}` },
+  { name: 'WEB • Open details', url: webDetail(kind, id) }
+];
+
+// first posters of every enabled catalog; search-only catalogs are listed in skipped
+app.get('/preview/catalogs', async (req, res) => {
+  const cfg = cfgFromQuery(req.query);
+  const extra = { ...req.query, pageSize: '20', recsSize: '20' };
+  try {
+    const catalogs = (await manifestFor(cfg)).catalogs;
+    const needsSearch = (c) => (c.extra || []).some(e => e.name === 'search' && e.isRequired);
+    const rails = await Promise.all(catalogs.filter(c => !needsSearch(c)).map(async (c) => {
+      try {
+        const { metas } = await iface.get('catalog', c.type, c.id, extra, addonContext(req));
+        return { id: c.id, type: c.type, name: c.name, metas: metas.slice(0, PREVIEW_POSTERS).map(m => previewItem(m, detailLinks(c.type, m.id))) };
+      } catch (e) {
+        log('warn', 'preview rail failed', { catalog: c.id, err: e.message });
+        return { id: c.id, type: c.type, name: c.name, metas: [], error: e.message };
+      }
+    }));
+    res.json({ rails, skipped: uniqBy(catalogs.filter(needsSearch), c => c.name).map(c => c.name) });
+  } catch (e) { fail(res, e); }
+});
+
+// ?title=Dune 1984&type=movie → the title the recs rail would resolve it to, its Season 0 list (meta handler)
+// and the APP/WEB rows the stream handler gives each entry
+app.get('/preview/recs', async (req, res) => {
+  const cfg = cfgFromQuery(req.query);
+  const title = String(req.query.title || '').trim().slice(0, 200);
+  if (!title) return res.status(400).json({ err: 'missing title' });
+  const wantType = req.query.type === 'movie' ? 'movie' : req.query.type === 'series' ? 'tv' : null;
+  try {
+    const ref = await resolveQueryToTmdb(title, locale(cfg), wantType);
+    if (!ref) return res.json({ title: null, recommendations: [] });
+    const kind = kindOf(ref.tmdbType);
+    const ctx = addonContext(req);
+    const { meta } = await iface.get('meta', kind, `tmdb:${ref.tmdbType}:${ref.tmdbId}`, req.query, ctx);
+    const recs = (meta.videos || []).filter(v => v.season === 0);
+    const rows = await Promise.all(recs.map(v => iface.get('stream', kind, v.id, req.query, ctx).then(r => r.streams, () => [])));
+    res.json({
+      title: previewItem(meta, detailLinks(kind, meta.id)),
+      recommendations: recs.map((v, i) => ({ ...previewItem(v, rows[i].map(s => ({ name: s.name, url: s.externalUrl }))), overview: v.overview }))
+    });
+  } catch (e) { fail(res, e); }
+});
+
+// ---------- history import ----------
+// /history: into the ?profile= token of a query-flag install (a new one when there is none);
+// /<token>/history: into that saved profile
+app.post(['/history', '/:token/history'], parseForm, async (req, res) => {
+  const q = req.params.token ? profileCfg(req.params.token) : cfgFromQuery(req.body || {});
+  if (!q) return res.status(404).type('text').send('Unknown profile.');
+  const token = q.profile || newToken();
+  if (profileRefused(token)) return refuseProfile(res);
+  try {
+    const entries = parseHistory(req.body?.history);
+    if (!entries.length) return res.status(400).type('text').send('No IMDb ids or recognizable CSV rows found in the history.');
+    const { history, unmatched } = await resolveHistory(entries, locale(q));
+    if (!history.length) return res.status(400).type('text').send(`None of the ${entries.length} entries in the history matched a TMDB title.`);
+    const saved = putProfile(token, { history, unmatched });
+    log('info', 'history imported', { profile: `${token.slice(0, 6)}…`, titles: history.length, unmatched });
+    res.redirect(303, saved.settings ? `/${token}/configure` : `/configure?${cfgToParams({ ...q, profile: token })}`);
+  } catch (e) {
+    log('error', 'history import failed', { err: e.message, stack: e.stack });
+    res.status(500).type('text').send(`History import failed: ${e.message}`);
+  }
+});
+
+// ---------- health, readiness & metrics ----------
+app.get('/health', (req, res) => res.json({ status: 'ok', uptime: Math.round(process.uptime()) }));
+
+// ready = TMDB answers with our key; checked at most every 15s so probes don't spend our rate limit
+let readiness = { checkedAt: 0, ok: false, tmdb: 'not checked' };
+app.get('/ready', async (req, res) => {
+  if (Date.now() - readiness.checkedAt > 15 * 1000) {
+    let ok = false, tmdbState;
+    try {
+      const r = await fetch(`${TMDB_API}/configuration?api_key=${TMDB_KEY}`, { signal: AbortSignal.timeout(5000) });
+      ok = r.ok;
+      tmdbState = r.ok ? 'ok' : `HTTP ${r.status}`;
+    } catch (e) { tmdbState = `unreachable (${e.cause?.code || e.name})`; }
+    if (!ok) log('warn', 'readiness check failed', { tmdb: tmdbState });
+    readiness = { checkedAt: Date.now(), ok, tmdb: tmdbState };
+  }
+  res.status(readiness.ok ? 200 : 503).json({
+    status: readiness.ok ? 'ready' : 'unavailable', tmdb: readiness.tmdb, checkedAt: new Date(readiness.checkedAt).toISOString()
+  });
+});
+
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics([
+    ['tmdb_cache_hits_total',      'counter', 'TMDB cache hits',                      cacheStats.hits],
+    ['tmdb_cache_coalesced_total', 'counter', 'TMDB lookups joined to an in-flight request', cacheStats.coalesced],
+    ['tmdb_cache_misses_total',    'counter', 'TMDB cache misses',                    cacheStats.misses],
+    ['tmdb_cache_entries',         'gauge',   'TMDB cache entries',                   cache.size],
+    ['tmdb_cache_bytes',           'gauge',   'approximate size of the TMDB cache',   cacheBytes],
+    ['tmdb_inflight_requests',     'gauge',   'TMDB requests in flight',              inflight.size],
+    ['profiles',                   'gauge',   'stored profiles',                      profiles.size],
+    ['process_uptime_seconds',     'gauge',   'process uptime',                       Math.round(process.uptime())]
+  ]));
+});
+
+// ---------- cache stats ----------
+app.get('/cache/stats', (req, res) => {
+  const lookups = cacheStats.hits + cacheStats.coalesced + cacheStats.misses;
+  res.json({
+    ...cacheStats,
+    hitRate: lookups ? +((cacheStats.hits + cacheStats.coalesced) / lookups).toFixed(3) : 0,
+    entries: cache.size,
+    maxEntries: CACHE_MAX,
+    bytes: cacheBytes,
+    maxBytes: CACHE_MAX_BYTES,
+    inflight: inflight.size,
+    persistent: !!CACHE_FILE
+  });
+});
+
+// ---------- posters ----------
+// /poster/tmdb:tv:1399.jpg?img=standard&lang=en-GB&overlay=1 (see Posters)
+app.get('/poster/:id.jpg', (req, res) => {
+  const m = req.params.id.match(/^tmdb:(movie|tv):(\d+)$/);
+  if (!m) return res.status(404).json({ err: 'unknown poster id' });
+  posterFor(m[1], m[2], cfgFromQuery(req.query)).then(p => {
+    res.setHeader('Cache-Control', `public, max-age=${POSTER_TTL / 1000}`);
+    if (p.redirect) return res.redirect(302, p.redirect);
+    res.type(p.type).send(p.body);
+  }).catch(e => fail(res, e));
 });
 
 // ---------- Stremio endpoints (GET & POST) ----------
 const parseBody = express.json();
+// cfg → the query flags cfgFromQuery() reads back (manifest install URLs)
+function cfgToParams(q) {
+  const params = new URLSearchParams();
+  params.set('onair',   q.enableOnAir ? '1' : '0');
+  params.set('today',   q.enableAiringToday ? '1' : '0');
+  params.set('week',    q.enableNextWeek ? '1' : '0');
+  params.set('premieres', q.enablePremieres ? '1' : '0');
+  params.set('tz',      q.timezone);
+  params.set('recsTv',  q.enableRecsTv ? '1' : '0');
+  params.set('recsMov', q.enableRecsMovie ? '1' : '0');
+  params.set('streams', q.enableStreamsRecs ? '1' : '0');
+  params.set('sRows',   q.streamRows.join(','));
+  params.set('compat',  q.compatPopularImdb ? '1' : '0');
+  params.set('lang',    q.language);
+  if (q.region) params.set('region', q.region);
+  params.set('discover', q.enableDiscover ? '1' : '0');
+  if (q.yearFrom)          params.set('yFrom',    String(q.yearFrom));
+  if (q.yearTo)            params.set('yTo',      String(q.yearTo));
+  if (q.minRating)         params.set('minVote',  String(q.minRating));
+  if (q.minVotes)          params.set('minVotes', String(q.minVotes));
+  if (q.originalLanguage)  params.set('origLang', q.originalLanguage);
+  if (q.network)           params.set('network',  q.network);
+  if (q.providers.length)  params.set('prov',     q.providers.join(','));
+  params.set('myProv',  q.onlyMyProviders ? '1' : '0');
+  params.set('similar', q.useSimilar ? '1' : '0');
+  params.set('didYouMean', q.enableCandidates ? '1' : '0');
+  params.set('people',  q.enablePeople ? '1' : '0');
+  params.set('pSort',   q.personSort);
+  params.set('collections', q.enableCollections ? '1' : '0');
+  if (q.profile) params.set('profile', q.profile);
+  if (q.rails.length) params.set('rails', JSON.stringify(q.rails));
+  params.set('pageSize', String(q.pageSize));
+  params.set('recsSize', String(q.recsPageSize));
+  params.set('s0Size',  String(q.season0Size));
+  params.set('noAdult', q.excludeAdult ? '1' : '0');
+  if (q.maxCertMovie)           params.set('certMovie', q.maxCertMovie);
+  if (q.maxCertTv)              params.set('certTv',    q.maxCertTv);
+  if (q.excludeGenres.length)   params.set('exGenres',  q.excludeGenres.join(','));
+  if (q.excludeKeywords.length) params.set('exKw',      q.excludeKeywords.join(','));
+  if (q.blocklist.length)       params.set('block',     q.blocklist.map(blockRef).join(','));
+  params.set('img',        q.imageQuality);
+  params.set('locPosters', q.localPosters ? '1' : '0');
+  params.set('overlay',    q.posterOverlay ? '1' : '0');
+  return params;
+}
+
+// what handlers need to know about the request itself: the settings of a /<token>/ install, the
+// manifest URL the user installed (for catalog links) and the add-on's own URL (for /poster images)
+function addonContext(req) {
+  const base = `${req.protocol}://${req.get('host')}`;
+  if (req.profileToken) return { ...profileCfg(req.profileToken), manifestUrl: `${base}/${req.profileToken}/manifest.json`, baseUrl: base };
+  return { manifestUrl: `${base}/manifest.json?${cfgToParams(cfgFromQuery(req.query))}`, baseUrl: base };
+}
+
 const sendJSON = (res, obj) => res.type('application/json').send(JSON.stringify(obj));
+const addon = express.Router();
 
-app.get('/manifest.json', (req, res) => res.json(manifest));
+addon.get('/manifest.json', (req, res) => {
+  const cfg = req.profileToken ? profileCfg(req.profileToken) : cfgFromQuery(req.query);
+  manifestFor(cfg).then(m => res.json(m)).catch(e => fail(res, e));
+});
 
-app.get('/catalog/:type/:id.json', (req, res) => {
-  iface.get('catalog', req.params.type, req.params.id, req.query).then(r => sendJSON(res, r)).catch(e => res.status(500).json({ err: String(e) }));
+// Stremio sends catalog extras as a path segment (/catalog/series/tmdb-on-air/genre=Drama&skip=100.json);
+// parse the raw segment so encoded "&" in genre names survive
+const extraFromPath = (req) => Object.fromEntries(new URLSearchParams(req.path.split('/').pop().replace(/\.json$/, '')));
+addon.get('/catalog/:type/:id/:extra.json', (req, res) => {
+  const extra = Object.assign({}, req.query, extraFromPath(req));
+  iface.get('catalog', req.params.type, req.params.id, extra, addonContext(req)).then(r => sendJSON(res, r)).catch(e => fail(res, e));
 });
-app.post('/catalog/:type/:id.json', parseBody, (req, res) => {
+
+addon.get('/catalog/:type/:id.json', (req, res) => {
+  iface.get('catalog', req.params.type, req.params.id, req.query, addonContext(req)).then(r => sendJSON(res, r)).catch(e => fail(res, e));
+});
+addon.post('/catalog/:type/:id.json', parseBody, (req, res) => {
   const extra = Object.assign({}, req.query, req.body || {});
-  iface.get('catalog', req.params.type, req.params.id, extra).then(r => sendJSON(res, r)).catch(e => res.status(500).json({ err: String(e) }));
+  iface.get('catalog', req.params.type, req.params.id, extra, addonContext(req)).then(r => sendJSON(res, r)).catch(e => fail(res, e));
 });
 
-app.get('/meta/:type/:id.json', (req, res) => {
-  iface.get('meta', req.params.type, req.params.id, req.query).then(r => sendJSON(res, r)).catch(e => res.status(500).json({ err: String(e) }));
+addon.get('/meta/:type/:id.json', (req, res) => {
+  iface.get('meta', req.params.type, req.params.id, req.query, addonContext(req)).then(r => sendJSON(res, r)).catch(e => fail(res, e));
 });
-app.post('/meta/:type/:id.json', parseBody, (req, res) => {
+addon.post('/meta/:type/:id.json', parseBody, (req, res) => {
   const extra = Object.assign({}, req.query, req.body || {});
-  iface.get('meta', req.params.type, req.params.id, extra).then(r => sendJSON(res, r)).catch(e => res.status(500).json({ err: String(e) }));
+  iface.get('meta', req.params.type, req.params.id, extra, addonContext(req)).then(r => sendJSON(res, r)).catch(e => fail(res, e));
 });
 
-app.get('/stream/:type/:id.json', (req, res) => {
-  iface.get('stream', req.params.type, req.params.id, req.query).then(r => sendJSON(res, r)).catch(e => res.status(500).json({ err: String(e) }));
+addon.get('/stream/:type/:id.json', (req, res) => {
+  iface.get('stream', req.params.type, req.params.id, req.query, addonContext(req)).then(r => sendJSON(res, r)).catch(e => fail(res, e));
 });
-app.post('/stream/:type/:id.json', parseBody, (req, res) => {
+addon.post('/stream/:type/:id.json', parseBody, (req, res) => {
   const extra = Object.assign({}, req.query, req.body || {});
-  iface.get('stream', req.params.type, req.params.id, extra).then(r => sendJSON(res, r)).catch(e => res.status(500).json({ err: String(e) }));
+  iface.get('stream', req.params.type, req.params.id, extra, addonContext(req)).then(r => sendJSON(res, r)).catch(e => fail(res, e));
+});
+
+// ---------- export & feeds ----------
+// Also under /<token>/, with the saved profile's settings (see Feeds)
+const FEED_MAX_AGE = 3600;
+const requestCfg = (req) => ({ ...cfgFromQuery(req.query), ...addonContext(req) });
+
+// /export/series/tmdb-on-air.csv?skip=100&genre=Drama → the window of the catalog Stremio would get
+addon.get('/export/:type/:id.:format', async (req, res) => {
+  const { type, id, format } = req.params;
+  if (format !== 'json' && format !== 'csv') return res.status(404).json({ err: 'export as .json or .csv' });
+  try {
+    const catalog = (await manifestFor(requestCfg(req))).catalogs.find(c => c.type === type && c.id === id);
+    if (!catalog) return res.status(404).json({ err: 'unknown or disabled catalog' });
+    if ((catalog.extra || []).some(e => e.name === 'search' && e.isRequired) && !req.query.search) {
+      return res.status(400).json({ err: 'this catalog needs ?search=' });
+    }
+    const { metas } = await iface.get('catalog', type, id, req.query, addonContext(req));
+    const rows = metas.map(exportRow);
+    res.setHeader('Content-Disposition', `inline; filename="${id}.${format}"`);
+    if (format === 'csv') return res.type('text/csv; charset=utf-8').send(toCsv(rows));
+    sendJSON(res, { catalog: { id, type, name: catalog.name }, skip: Math.max(0, Math.floor(Number(req.query.skip) || 0)), items: rows });
+  } catch (e) { fail(res, e); }
+});
+
+addon.get('/feeds/new.rss', async (req, res) => {
+  const cfg = requestCfg(req);
+  try {
+    const items = await feedItems(cfg);
+    res.setHeader('Cache-Control', `public, max-age=${FEED_MAX_AGE}`);
+    res.type('application/rss+xml; charset=utf-8').send(renderRss({
+      title: 'TMDB Recs — new episodes and titles',
+      link: `${cfg.baseUrl}/configure`,
+      self: `${cfg.baseUrl}${req.originalUrl}`,
+      description: `Episodes that aired in the last ${FEED_EPISODE_DAYS} days on shows that are on the air, and popular titles released in the last ${FEED_TITLE_DAYS} days.`
+    }, items));
+  } catch (e) { fail(res, e); }
+});
+
+// ?shows=Severance,tt0944947,tmdb:tv:1396 (TMDB links work too)
+addon.get('/feeds/schedule.ics', async (req, res) => {
+  const cfg = requestCfg(req);
+  try {
+    const ids = await scheduleShowIds(req.query.shows, locale(cfg));
+    if (!ids.length) return res.status(400).json({ err: 'list the shows as ?shows= (titles, IMDb ids, tmdb:tv:<id> or TMDB links)' });
+    const schedules = await Promise.all(ids.map(id =>
+      scheduleEpisodes(id, cfg).catch(e => { warnTmdb(`schedule for tv ${id}`, e); return null; })));
+    res.setHeader('Cache-Control', `public, max-age=${FEED_MAX_AGE}`);
+    res.setHeader('Content-Disposition', 'inline; filename="schedule.ics"');
+    res.type('text/calendar; charset=utf-8').send(renderIcs('TV schedule (TMDB)', schedules.filter(Boolean)));
+  } catch (e) { fail(res, e); }
 });
 
-// start
-app.listen(PORT, () => {
-  console.log(`TMDB Recs running on http://localhost:${PORT}`);
-  console.log(`Manifest: http://localhost:${PORT}/manifest.json`);
-  console.log(`Configure: http://localhost:${PORT}/configure`);
+app.use(addon);
+app.use('/:token', (req, res, next) => {
+  if (!TOKEN_RE.test(req.params.token)) return next();
+  if (!profileCfg(req.params.token)) return res.status(404).json({ err: 'unknown profile' });
+  req.profileToken = req.params.token;
+  addon(req, res, next);
 });
+
+for (const sig of ['SIGINT', 'SIGTERM']) process.once(sig, () => { saveCache(); saveIdMap(); saveProfiles(); process.exit(0); });
+
+// start (unless imported, e.g. by the tests)
+const isMain = process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+if (isMain) {
+  app.listen(PORT, () => {
+    log('info', 'listening', {
+      url: `http://localhost:${PORT}`,
+      manifest: `http://localhost:${PORT}/manifest.json`,
+      configure: `http://localhost:${PORT}/configure`
+    });
+  });
+}
+
+export { app, iface, manifest, cfgFromQuery, cfgToParams };
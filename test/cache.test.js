@@ -0,0 +1,37 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startAddon } from './helpers.js';
+
+// a 64 KB cache, started from a cache file that already knows the TV genres
+const CACHE_FILE = join(mkdtempSync(join(tmpdir(), 'tmdb-cache-')), 'cache.json');
+const GENRES = [{ id: 1, name: 'From the cache file' }];
+let addon;
+before(async () => {
+  writeFileSync(CACHE_FILE, JSON.stringify([
+    ['/genre/tv/list?language=en-GB', { exp: Date.now() + 60 * 60 * 1000, val: { genres: GENRES } }],
+    ['/genre/movie/list?language=en-GB', { exp: Date.now() - 1000, val: { genres: GENRES } }]
+  ]));
+  addon = await startAddon({ TMDB_CACHE_FILE: CACHE_FILE, TMDB_CACHE_MAX_MB: String(64 / 1024) });
+});
+after(() => addon.close());
+
+test('entries from the cache file are served until they expire', async () => {
+  const calls = await addon.tmdbCalls(async () => {
+    const m = await addon.get('/manifest.json');
+    assert.deepEqual(m.catalogs.find(c => c.id === 'tmdb-popular-series').extra.find(e => e.name === 'genre').options, ['From the cache file']);
+  });
+  assert.ok(!calls.some(c => c.path === '/genre/tv/list'));
+  assert.ok(calls.some(c => c.path === '/genre/movie/list'), 'the expired entry is fetched again');
+});
+
+test('the cache stays under its size limit, evicting the oldest entries', async () => {
+  for (let id = 100000; id < 100020; id++) await addon.get(`/meta/series/tmdb:tv:${id}.json`);
+  const stats = await addon.get('/cache/stats');
+  assert.equal(stats.maxBytes, 64 * 1024);
+  assert.ok(stats.bytes > 0 && stats.bytes <= stats.maxBytes, `${stats.bytes} bytes`);
+  assert.ok(stats.evictions > 0);
+  assert.match((await addon.request('/metrics')).body, /tmdb_cache_bytes \d+/);
+});
@@ -0,0 +1,253 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startAddon, tmdbIdOf, range } from './helpers.js';
+import { BASE, PER_PAGE, TOTAL_PAGES, isoDay, paged, listItem } from './mock-tmdb.js';
+
+let addon;
+before(async () => { addon = await startAddon(); });
+after(() => addon.close());
+afterEach(() => addon.tmdb.reset());
+
+const catalog = async (type, id, extra = {}, query = '') => {
+  const seg = new URLSearchParams(extra).toString();
+  return (await addon.get(`/catalog/${type}/${id}${seg ? `/${seg}` : ''}.json${query ? `?${query}` : ''}`)).metas;
+};
+const pagesOf = (calls, path) => calls.filter(c => c.path === path).map(c => Number(c.params.page)).sort((a, b) => a - b);
+const LAST = TOTAL_PAGES * PER_PAGE;
+
+// skip → window: items [skip, skip + 100) of the de-duplicated list read from page 1 up to page
+// ceil((skip+100)/20), so later windows reuse the cached pages; nothing is read past the last page TMDB reports
+const PAGED_RAILS = [
+  ['series', 'tmdb-on-air',          '/tv/on_the_air',   BASE.tv],
+  ['series', 'tmdb-airing-today',    '/tv/airing_today', BASE.tv],
+  ['series', 'tmdb-popular-series',  '/tv/popular',      BASE.tv],
+  ['movie',  'tmdb-popular-movies',  '/movie/popular',   BASE.movie],
+  ['series', 'tmdb-discover-series', '/discover/tv',     BASE.tv],
+  ['movie',  'tmdb-discover-movies', '/discover/movie',  BASE.movie],
+  ['series', 'tmdb-people',          '/person/popular',  BASE.person]
+];
+for (const [type, id, path, base] of PAGED_RAILS) {
+  test(`${id}: skip windows map onto TMDB pages`, async () => {
+    let metas;
+    let calls = await addon.tmdbCalls(async () => { metas = await catalog(type, id, { skip: 30 }); });
+    assert.deepEqual(pagesOf(calls, path), [1, 2, 3, 4, 5, 6, 7]);
+    assert.deepEqual(metas.map(m => tmdbIdOf(m.id)), range(base + 30, 100));
+
+    calls = await addon.tmdbCalls(async () => { metas = await catalog(type, id); });
+    assert.deepEqual(pagesOf(calls, path), [], 'pages 1-5 come from the cache');
+    assert.deepEqual(metas.map(m => tmdbIdOf(m.id)), range(base, 100));
+
+    calls = await addon.tmdbCalls(async () => { metas = await catalog(type, id, { skip: LAST - 20 }); });
+    assert.deepEqual(pagesOf(calls, path), [8, 9, TOTAL_PAGES], 'nothing is fetched past total_pages');
+    assert.deepEqual(metas.map(m => tmdbIdOf(m.id)), range(base + LAST - 20, 20));
+
+    assert.deepEqual(await catalog(type, id, { skip: LAST }), []);
+  });
+}
+
+test('rail id shapes: IMDb ids on airing rails, tmdb: ids on Popular unless compat mode', async () => {
+  const onAir = await catalog('series', 'tmdb-on-air');
+  assert.equal(onAir[0].id, 'tt0100000');
+  assert.equal(onAir[99].id, 'tmdb:tv:100099', 'titles without an IMDb id keep their tmdb: id');
+  assert.equal((await catalog('series', 'tmdb-popular-series'))[0].id, 'tmdb:tv:100000');
+  assert.equal((await catalog('series', 'tmdb-popular-series', {}, 'compat=1'))[0].id, 'tt0100000');
+  assert.equal((await catalog('series', 'tmdb-people'))[0].id, `tmdb:person:${BASE.person}`);
+});
+
+test('genre extra serves the rail from /discover with the genre id', async () => {
+  let metas;
+  const calls = await addon.tmdbCalls(async () => { metas = await catalog('series', 'tmdb-on-air', { genre: 'Crime', skip: 20 }); });
+  const discover = calls.filter(c => c.path === '/discover/tv');
+  assert.ok(discover.length);
+  assert.ok(discover.every(c => c.params.with_genres === '80'));
+  assert.deepEqual(pagesOf(calls, '/discover/tv'), [1, 2, 3, 4, 5, 6]);
+  assert.equal(metas.length, 100);
+  assert.deepEqual(await catalog('series', 'tmdb-on-air', { genre: 'Not a genre' }), []);
+});
+
+test('disabled catalogs return no metas', async () => {
+  assert.deepEqual(await catalog('series', 'tmdb-on-air', {}, 'onair=0'), []);
+  assert.deepEqual(await catalog('series', 'tmdb-people', {}, 'people=0'), []);
+  assert.deepEqual(await catalog('series', 'tmdb-on-air', {}, `rails=${encodeURIComponent('[{"id":"tmdb-on-air","hide":true}]')}`), []);
+  assert.deepEqual(await catalog('series', 'tmdb-nope'), []);
+});
+
+// the mock airs show N's next episode (N % 10) days from today, and it opens a season when N % 3 === 0
+const calendar = range(BASE.tv, 5 * PER_PAGE);
+const byAirDate = (ids) => [...ids].sort((a, b) => (a % 10) - (b % 10) || a - b);
+
+test('tmdb-next-7-days: shows airing within a week, soonest first, windowed by skip', async () => {
+  const expected = byAirDate(calendar.filter(id => id % 10 <= 7));
+  const metas = await catalog('series', 'tmdb-next-7-days');
+  assert.deepEqual(metas.map(m => tmdbIdOf(m.id)), expected);
+  assert.match(metas[0].description, /^S02E05 · .+ \(today\)/);
+  assert.deepEqual((await catalog('series', 'tmdb-next-7-days', { skip: 70 })).map(m => tmdbIdOf(m.id)), expected.slice(70));
+});
+
+test('tmdb-premieres: next episode opens a season, windowed by skip', async () => {
+  let metas;
+  const calls = await addon.tmdbCalls(async () => { metas = await catalog('series', 'tmdb-premieres'); });
+  const expected = byAirDate(calendar.filter(id => id % 3 === 0));
+  assert.deepEqual(metas.map(m => tmdbIdOf(m.id)), expected);
+  const params = calls.find(c => c.path === '/discover/tv').params;
+  assert.equal(params['air_date.gte'], isoDay(0));
+  assert.equal(params['air_date.lte'], isoDay(60));
+  assert.deepEqual((await catalog('series', 'tmdb-premieres', { skip: 30 })).map(m => tmdbIdOf(m.id)), expected.slice(30));
+});
+
+test('tmdb-recs-series / tmdb-recs-movie: 50 per page, contiguous across skips and into /similar', async () => {
+  for (const [type, recs, similar] of [['series', BASE.tvRecs, BASE.tvSimilar], ['movie', BASE.movieRecs, BASE.movieSimilar]]) {
+    const id = `tmdb-recs-${type}`;
+    const search = type === 'series' ? 'Show' : 'Movie';
+    const first = await catalog(type, id, { search });
+    const second = await catalog(type, id, { search, skip: 50 });
+    assert.deepEqual(first.map(m => tmdbIdOf(m.id)), range(recs, 50));
+    assert.deepEqual(second.map(m => tmdbIdOf(m.id)), range(recs + 50, 50));
+    // all 10 recommendation pages (200 titles) come first, then the 2 /similar pages
+    const tail = await catalog(type, id, { search, skip: 190 });
+    assert.deepEqual(tail.map(m => tmdbIdOf(m.id)), [...range(recs + 190, 10), ...range(similar, 40)]);
+    assert.deepEqual(await catalog(type, id, { search, skip: 240 }), []);
+  }
+  assert.deepEqual(await catalog('series', 'tmdb-recs-series', { search: 'Show' }, 'recsTv=0'), []);
+});
+
+test('tmdb-recs-series: IMDb id seeds resolve through /find', async () => {
+  let metas;
+  const calls = await addon.tmdbCalls(async () => { metas = await catalog('series', 'tmdb-recs-series', { search: 'tt0450000' }); });
+  assert.ok(calls.some(c => c.path === '/find/tt0450000'));
+  assert.ok(calls.some(c => c.path === '/tv/450000/recommendations'));
+  assert.equal(metas.length, 50);
+  assert.deepEqual(await catalog('series', 'tmdb-recs-series', { search: 'tt0650000' }), [], 'a movie id is no series seed');
+});
+
+test('tmdb-candidates-*: ambiguous titles list their matches of that type', async () => {
+  for (const [type, base] of [['movie', BASE.movieSearch], ['series', BASE.tvSearch]]) {
+    const metas = await catalog(type, `tmdb-candidates-${type}`, { search: 'Dune' });
+    assert.equal(metas.length, 5);
+    assert.ok(metas.every(m => m.id.startsWith(type === 'movie' ? 'tmdb:movie:' : 'tmdb:tv:')));
+    assert.deepEqual(metas.slice(0, 2).map(m => m.name), ['Dune', 'Dune']);
+    assert.ok(metas.every(m => tmdbIdOf(m.id) >= base && tmdbIdOf(m.id) < base + PER_PAGE));
+    assert.equal((await catalog(type, `tmdb-candidates-${type}`, { search: 'Dune', skip: 3 })).length, 2);
+  }
+  assert.deepEqual(await catalog('movie', 'tmdb-candidates-movie', { search: 'tt0600001' }), []);
+});
+
+test('tmdb-people: search pages through /search/person', async () => {
+  let metas;
+  const calls = await addon.tmdbCalls(async () => { metas = await catalog('series', 'tmdb-people', { search: 'Cranston', skip: 20 }); });
+  assert.deepEqual(pagesOf(calls, '/search/person'), [1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(metas.map(m => tmdbIdOf(m.id)), range(BASE.person + 20, 100));
+});
+
+test('tmdb-collections: search only, windowed by skip', async () => {
+  assert.deepEqual(await catalog('movie', 'tmdb-collections'), []);
+  const metas = await catalog('movie', 'tmdb-collections', { search: 'Batman', skip: 10 });
+  assert.deepEqual(metas.map(m => m.id), range(BASE.collection + 10, 30).map(id => `tmdb:collection:${id}`));
+});
+
+test('tmdb-for-you-*: recommendations from an imported history, minus what was watched', async () => {
+  const res = await addon.request('/history', {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ history: 'tt0600010\ntt0100010\ntt0700003' })
+  });
+  assert.equal(res.status, 303);
+  const profile = new URLSearchParams(res.headers.get('location').split('?')[1]).get('profile');
+  assert.ok(profile);
+
+  const manifest = await addon.get(`/manifest.json?profile=${profile}`);
+  assert.ok(manifest.catalogs.some(c => c.id === 'tmdb-for-you-movie'));
+
+  // one page of recommendations and one of /similar per seed; the watched rec (700003) is left out
+  const movies = await catalog('movie', 'tmdb-for-you-movie', {}, `profile=${profile}`);
+  const recs = range(BASE.movieRecs, PER_PAGE).filter(id => id !== BASE.movieRecs + 3);
+  assert.deepEqual(movies.map(m => tmdbIdOf(m.id)), [...recs, ...range(BASE.movieSimilar, PER_PAGE)]);
+  const skipped = await catalog('movie', 'tmdb-for-you-movie', { skip: 10 }, `profile=${profile}`);
+  assert.deepEqual(skipped.map(m => tmdbIdOf(m.id)), movies.slice(10).map(m => tmdbIdOf(m.id)));
+  assert.equal((await catalog('series', 'tmdb-for-you-series', {}, `profile=${profile}`)).length, 2 * PER_PAGE);
+
+  assert.deepEqual(await catalog('movie', 'tmdb-for-you-movie'), [], 'no profile, no rail');
+});
+
+test('custom rails: seed recommendations and saved discover filters', async () => {
+  const rails = JSON.stringify([
+    { id: 'tmdb-custom-1', type: 'series', name: 'Like Show', seed: 'Show' },
+    { id: 'tmdb-custom-2', type: 'movie', name: 'Top dramas', discover: { genre: 'Drama', sort: 'rating', yFrom: 1990 } }
+  ]);
+  const q = `rails=${encodeURIComponent(rails)}`;
+  const manifest = await addon.get(`/manifest.json?${q}`);
+  assert.deepEqual(manifest.catalogs.slice(0, 2).map(c => [c.id, c.type, c.name]),
+    [['tmdb-custom-1', 'series', 'Like Show'], ['tmdb-custom-2', 'movie', 'Top dramas']]);
+
+  assert.deepEqual((await catalog('series', 'tmdb-custom-1', { skip: 50 }, q)).map(m => tmdbIdOf(m.id)), range(BASE.tvRecs + 50, 50));
+
+  let metas;
+  const calls = await addon.tmdbCalls(async () => { metas = await catalog('movie', 'tmdb-custom-2', { skip: 40 }, q); });
+  const params = calls.find(c => c.path === '/discover/movie').params;
+  assert.equal(params.sort_by, 'vote_average.desc');
+  assert.equal(params['vote_count.gte'], '200');
+  assert.equal(params.with_genres, '18');
+  assert.equal(params['primary_release_date.gte'], '1990-01-01');
+  assert.deepEqual(pagesOf(calls, '/discover/movie'), [1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual(metas.map(m => tmdbIdOf(m.id)), range(BASE.movie + 40, 100));
+});
+
+test('page sizes come from the config', async () => {
+  assert.equal((await catalog('series', 'tmdb-popular-series', {}, 'pageSize=20')).length, 20);
+  assert.deepEqual((await catalog('series', 'tmdb-popular-series', { skip: 20 }, 'pageSize=20')).map(m => tmdbIdOf(m.id)), range(BASE.tv + 20, 20));
+  assert.equal((await catalog('series', 'tmdb-popular-series', {}, 'pageSize=7')).length, 100, 'unknown sizes fall back to the default');
+  assert.deepEqual((await catalog('series', 'tmdb-recs-series', { search: 'Show', skip: 100 }, 'recsSize=100')).map(m => tmdbIdOf(m.id)), range(BASE.tvRecs + 100, 100));
+  assert.equal((await catalog('series', 'tmdb-recs-series', { search: 'Show' }, 'recsSize=20')).length, 20);
+});
+
+test('titles that shift between page fetches appear once, and consecutive skips neither overlap nor leave gaps', async () => {
+  // each page repeats the last title of the page before it, as TMDB does when a title moves down a place
+  const shiftBase = 650000;
+  addon.tmdb.override('/discover/movie', (q) => {
+    const page = Number(q.get('page'));
+    return { page, total_pages: TOTAL_PAGES, results: range(shiftBase + (page - 1) * (PER_PAGE - 1), PER_PAGE).map(id => listItem('movie', id)) };
+  });
+  const query = 'yFrom=1950';
+  const seen = [];
+  for (let skip = 0; ; skip += 50) {
+    const metas = await catalog('movie', 'tmdb-discover-movies', { skip }, `${query}&pageSize=50`);
+    if (!metas.length) break;
+    seen.push(...metas.map(m => tmdbIdOf(m.id)));
+  }
+  assert.deepEqual(seen, range(shiftBase, TOTAL_PAGES * (PER_PAGE - 1) + 1));
+});
+
+test('filtered titles do not shift later windows (People skip adult entries)', async () => {
+  addon.tmdb.override('/search/person', (q) => paged(Number(q.get('page')), k => ({ id: BASE.person + k, name: `Person ${k}`, adult: k % 5 === 0 })));
+  const kept = range(BASE.person, LAST).filter(id => (id - BASE.person) % 5 !== 0);
+  const first = await catalog('series', 'tmdb-people', { search: 'Adult test' }, 'pageSize=50');
+  const second = await catalog('series', 'tmdb-people', { search: 'Adult test', skip: first.length }, 'pageSize=50');
+  assert.deepEqual([...first, ...second].map(m => tmdbIdOf(m.id)), kept.slice(0, 100));
+});
+
+test('deep windows read only the pages they need, and nothing past RAIL_MAX_ITEMS (1000)', async () => {
+  addon.tmdb.override('/discover/movie', (q) => {
+    const page = Number(q.get('page'));
+    return { page, total_pages: 500, results: range(BASE.movie + (page - 1) * PER_PAGE, PER_PAGE).map(id => listItem('movie', id)) };
+  });
+  let metas;
+  let calls = await addon.tmdbCalls(async () => { metas = await catalog('movie', 'tmdb-discover-movies', { skip: 950 }, 'yFrom=1960&pageSize=50'); });
+  assert.deepEqual(pagesOf(calls, '/discover/movie'), range(1, 50));
+  assert.deepEqual(metas.map(m => tmdbIdOf(m.id)), range(BASE.movie + 950, 50));
+
+  calls = await addon.tmdbCalls(async () => { metas = await catalog('movie', 'tmdb-discover-movies', { skip: 1000 }, 'yFrom=1961&pageSize=50'); });
+  assert.deepEqual(metas, []);
+  assert.deepEqual(calls, []);
+});
+
+test('request metrics label known catalogs only', async () => {
+  await catalog('series', 'tmdb-popular-series');
+  await addon.get('/catalog/movie/tmdb-custom-7.json');
+  for (let i = 0; i < 3; i++) await addon.get(`/catalog/movie/tmdb-made-up-${i}.json`);
+  const { body } = await addon.request('/metrics');
+  const labels = [...body.matchAll(/^http_requests_total\{resource="catalog",catalog="([^"]*)"/gm)].map(m => m[1]);
+  assert.ok(labels.includes('tmdb-popular-series'));
+  assert.ok(labels.includes('tmdb-custom'));
+  assert.ok(labels.includes('other'));
+  assert.ok(!labels.some(l => l.startsWith('tmdb-made-up') || l === 'tmdb-custom-7'));
+});
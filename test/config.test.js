@@ -0,0 +1,122 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startAddon } from './helpers.js';
+
+let addon;
+before(async () => { addon = await startAddon(); });
+after(() => addon.close());
+
+test('cfgFromQuery: empty query gives the defaults', () => {
+  const cfg = addon.cfgFromQuery({});
+  assert.equal(cfg.enableOnAir, true);
+  assert.equal(cfg.compatPopularImdb, false);
+  assert.equal(cfg.timezone, 'UTC');
+  assert.equal(cfg.language, 'en-GB');
+  assert.equal(cfg.region, '');
+  assert.equal(cfg.yearFrom, null);
+  assert.deepEqual(cfg.providers, []);
+  assert.equal(cfg.personSort, 'popularity');
+  assert.equal(cfg.profile, '');
+  assert.deepEqual(cfg.rails, []);
+  assert.deepEqual([cfg.pageSize, cfg.recsPageSize, cfg.season0Size], [100, 50, 20]);
+});
+
+test('cfgFromQuery: page sizes are one of 20, 50 or 100', () => {
+  const cfg = addon.cfgFromQuery({ pageSize: '20', recsSize: '100', s0Size: '50' });
+  assert.deepEqual([cfg.pageSize, cfg.recsPageSize, cfg.season0Size], [20, 100, 50]);
+  const bad = addon.cfgFromQuery({ pageSize: '1000', recsSize: '-50', s0Size: 'all' });
+  assert.deepEqual([bad.pageSize, bad.recsPageSize, bad.season0Size], [100, 50, 20]);
+});
+
+test('cfgFromQuery: booleans accept 1/0/true/false and the last of repeated values', () => {
+  const cfg = addon.cfgFromQuery({ onair: '0', today: 'false', compat: 'true', similar: ['0', '1'], people: ['0'] });
+  assert.equal(cfg.enableOnAir, false);
+  assert.equal(cfg.enableAiringToday, false);
+  assert.equal(cfg.compatPopularImdb, true);
+  assert.equal(cfg.useSimilar, true);
+  assert.equal(cfg.enablePeople, false);
+  assert.equal(addon.cfgFromQuery({ onair: 'maybe' }).enableOnAir, true);
+});
+
+test('cfgFromQuery: validates strings, numbers and ids', () => {
+  const cfg = addon.cfgFromQuery({
+    tz: 'Europe/Berlin', lang: 'de-DE', region: 'de', yFrom: '1990', yTo: '2500', minVote: '7.5', minVotes: 'x',
+    origLang: 'ko', network: '49', prov: '8, 337|abc', pSort: 'date', profile: 'short'
+  });
+  assert.equal(cfg.timezone, 'Europe/Berlin');
+  assert.equal(cfg.language, 'de-DE');
+  assert.equal(cfg.region, 'DE');
+  assert.equal(cfg.yearFrom, 1990);
+  assert.equal(cfg.yearTo, null);
+  assert.equal(cfg.minRating, 7.5);
+  assert.equal(cfg.minVotes, null);
+  assert.equal(cfg.originalLanguage, 'ko');
+  assert.equal(cfg.network, '49');
+  assert.deepEqual(cfg.providers, ['8', '337']);
+  assert.equal(cfg.personSort, 'date');
+  assert.equal(cfg.profile, '');
+
+  const bad = addon.cfgFromQuery({ tz: 'Mars/Olympus', lang: 'german', region: 'DEU', origLang: 'kor', network: '4a', pSort: 'name' });
+  assert.equal(bad.timezone, 'UTC');
+  assert.equal(bad.language, 'en-GB');
+  assert.equal(bad.region, '');
+  assert.equal(bad.originalLanguage, '');
+  assert.equal(bad.network, '');
+  assert.equal(bad.personSort, 'popularity');
+});
+
+test('cfgFromQuery: rails keep known catalogs and valid custom rails only', () => {
+  const rails = JSON.stringify([
+    { id: 'tmdb-people', name: '  Stars  ', hide: true },
+    { id: 'tmdb-people', name: 'duplicate' },
+    { id: 'tmdb-unknown' },
+    { id: 'tmdb-custom-1', type: 'movie', name: 'Like Alien', seed: 'Alien 1979' },
+    { id: 'tmdb-custom-2', type: 'series', discover: { genre: 'Drama', yFrom: '2000', minVote: 11, origLang: 'xx1', sort: 'rating' } },
+    { id: 'tmdb-custom-3', type: 'anime', seed: 'x' },
+    { id: 'tmdb-custom-4', type: 'movie' }
+  ]);
+  assert.deepEqual(addon.cfgFromQuery({ rails }).rails, [
+    { id: 'tmdb-people', name: 'Stars', hide: true },
+    { id: 'tmdb-custom-1', name: 'Like Alien', type: 'movie', seed: 'Alien 1979' },
+    { id: 'tmdb-custom-2', type: 'series', discover: { genre: 'Drama', yFrom: 2000, sort: 'rating' } }
+  ]);
+  assert.deepEqual(addon.cfgFromQuery({ rails: '{not json' }).rails, []);
+  assert.deepEqual(addon.cfgFromQuery({ rails: '{"id":"tmdb-people"}' }).rails, []);
+});
+
+test('cfgFromQuery: stream rows keep their order; an empty list switches them all off', () => {
+  assert.deepEqual(addon.cfgFromQuery({}).streamRows, ['recs', 'similar', 'collection', 'creator', 'search']);
+  assert.deepEqual(addon.cfgFromQuery({ sRows: 'search,bogus,recs' }).streamRows, ['recs', 'search']);
+  assert.deepEqual(addon.cfgFromQuery({ sRows: ['', 'creator', 'similar'] }).streamRows, ['similar', 'creator']);
+  assert.deepEqual(addon.cfgFromQuery({ sRows: '' }).streamRows, []);
+});
+
+test('cfgToParams round-trips through cfgFromQuery', () => {
+  const cfg = addon.cfgFromQuery({
+    onair: '0', tz: 'Asia/Tokyo', lang: 'ja-JP', region: 'JP', yFrom: '2001', minVote: '6', prov: '8,337', myProv: '1',
+    pSort: 'date', collections: '0', pageSize: '50', s0Size: '100', sRows: 'similar', rails: JSON.stringify([{ id: 'tmdb-custom-1', type: 'movie', seed: 'Alien' }])
+  });
+  const back = addon.cfgFromQuery(Object.fromEntries(addon.cfgToParams(cfg)));
+  assert.deepEqual(back, cfg);
+});
+
+test('manifest lists only enabled catalogs, in the configured order and names', async () => {
+  const rails = JSON.stringify([{ id: 'tmdb-people', name: 'Stars' }, { id: 'tmdb-on-air', hide: true }]);
+  const m = await addon.get(`/manifest.json?${new URLSearchParams({ rails, discover: '0' })}`);
+  const ids = m.catalogs.map(c => c.id);
+  assert.equal(ids[0], 'tmdb-people');
+  assert.equal(m.catalogs[0].name, 'Stars');
+  assert.ok(!ids.includes('tmdb-on-air'));
+  assert.ok(!ids.includes('tmdb-discover-series') && !ids.includes('tmdb-discover-movies'));
+  assert.ok(!ids.includes('tmdb-for-you-movie'), 'For you needs an imported history');
+  assert.deepEqual(m.catalogs.find(c => c.id === 'tmdb-popular-series').extra.find(e => e.name === 'genre').options,
+    ['Action & Adventure', 'Animation', 'Comedy', 'Crime', 'Drama']);
+});
+
+test('TMDB_BASE_URL and TMDB_IMAGE_BASE are used for API calls and artwork', async () => {
+  const calls = await addon.tmdbCalls(() => addon.get('/catalog/series/tmdb-popular-series.json'));
+  assert.ok(calls.some(c => c.path === '/tv/popular'));
+  const { metas } = await addon.get('/catalog/series/tmdb-popular-series.json');
+  assert.match(metas[0].poster, /^http:\/\/images\.test\/t\/p\/w500\//);
+  assert.match(metas[0].background, /^http:\/\/images\.test\/t\/p\/w1280\//);
+});
@@ -0,0 +1,125 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startAddon, tmdbIdOf, range } from './helpers.js';
+import { BASE, isoDay, listItem, paged } from './mock-tmdb.js';
+
+let addon;
+before(async () => { addon = await startAddon(); });
+after(() => addon.close());
+afterEach(() => addon.tmdb.reset());
+
+// RFC 5545 content lines back to logical lines
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+const events = (ics) => unfold(ics).join('\n').split('BEGIN:VEVENT').slice(1)
+  .map(ev => Object.fromEntries(ev.split('\n').filter(l => l.includes(':')).map(l => [l.slice(0, l.indexOf(':')), l.slice(l.indexOf(':') + 1)])));
+const rssItems = (xml) => [...xml.matchAll(/<item>(.*?)<\/item>/g)].map(m => Object.fromEntries(
+  [...m[1].matchAll(/<(title|link|guid|category|pubDate)[^>]*>(.*?)<\/\1>/g)].map(x => [x[1], x[2]])));
+
+test('/export: a catalog window as JSON, the same one the catalog endpoint serves', async () => {
+  const { metas } = await addon.get('/catalog/series/tmdb-popular-series.json?pageSize=20');
+  const body = await addon.get('/export/series/tmdb-popular-series.json?pageSize=20');
+  assert.deepEqual(body.catalog, { id: 'tmdb-popular-series', type: 'series', name: 'Popular series recommendations' });
+  assert.deepEqual(body.items.map(r => r.id), metas.map(m => m.id));
+  assert.deepEqual(Object.keys(body.items[0]), ['id', 'type', 'name', 'releaseInfo', 'tmdbRating', 'genres', 'description', 'poster', 'link']);
+  assert.equal(body.items[0].link, 'https://web.stremio.com/#/detail/series/tmdb%3Atv%3A100000');
+
+  const next = await addon.get('/export/series/tmdb-popular-series.json?pageSize=20&skip=20');
+  assert.equal(next.skip, 20);
+  assert.deepEqual(next.items.map(r => tmdbIdOf(r.id)), range(BASE.tv + 20, 20));
+});
+
+test('/export: CSV with quoted fields and genres joined by "|"', async () => {
+  addon.tmdb.override('/movie/popular', (q) => paged(Number(q.get('page')), k => ({ ...listItem('movie', BASE.movie + k), title: k ? `Movie ${k}` : 'Say "hi", then\nleave' })));
+  const res = await addon.request('/export/movie/tmdb-popular-movies.csv?pageSize=20');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/csv/);
+  const lines = res.body.split('\r\n');
+  assert.equal(lines[0], 'id,type,name,releaseInfo,tmdbRating,genres,description,poster,link');
+  assert.ok(lines[1].startsWith('tmdb:movie:600000,movie,"Say ""hi"", then\nleave",2010,'));
+  assert.match(lines[2], /^tmdb:movie:600001,movie,Movie 1,2010,[\d.]+,[^,]+\|[^,]+,/);
+  assert.equal(lines.length, 22); // header, 20 rows, trailing line break
+});
+
+test('/export: unknown, disabled and search-only catalogs', async () => {
+  assert.equal((await addon.request('/export/series/tmdb-nope.json')).status, 404);
+  assert.equal((await addon.request('/export/series/tmdb-on-air.json?onair=0')).status, 404);
+  assert.equal((await addon.request('/export/series/tmdb-on-air.xml')).status, 404);
+  assert.equal((await addon.request('/export/movie/tmdb-recs-movie.json')).status, 400);
+  const { items } = await addon.get('/export/movie/tmdb-recs-movie.json?search=Movie&recsSize=20');
+  assert.deepEqual(items.map(r => tmdbIdOf(r.id)), range(BASE.movieRecs, 20));
+});
+
+test('/feeds/new.rss: episodes from the last week on On The Air shows, then new popular titles', async () => {
+  addon.tmdb.override('/tv/popular', (q) => paged(Number(q.get('page')), k => listItem('tv', BASE.tv + k)));
+  addon.tmdb.override('/movie/popular', (q) => paged(Number(q.get('page')), k => ({ ...listItem('movie', BASE.movie + k), release_date: isoDay(-2 * k - 1) })));
+  // (another language than the tests above, so these lists aren't served from the cache)
+  const res = await addon.request('/feeds/new.rss?exKw=anime&lang=en-US');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^application\/rss\+xml/);
+  assert.match(res.body, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<rss version="2.0"/);
+  const items = rssItems(res.body);
+
+  // shows aired their last episode (id % 10) + 1 days ago; anime is filtered like on the rails
+  const episodes = items.filter(it => it.category === 'New episode');
+  const shows = range(BASE.tv, 100).filter(id => id % 10 <= 6 && id % 5 !== 0);
+  assert.deepEqual(episodes.map(it => tmdbIdOf(it.guid.replace(/-s5e16$/, ''))).sort(), shows);
+  const ep = episodes.find(it => it.guid === 'tmdb-tv-100001-s5e16');
+  assert.equal(ep.title, 'Show 100001 — S05E16 Felina');
+  assert.equal(ep.link, 'https://web.stremio.com/#/detail/series/tt0100001');
+  assert.equal(ep.pubDate, new Date(`${isoDay(-2)}T00:00:00Z`).toUTCString());
+
+  // movies released 1, 3, 5 … days ago: the first 15 are within 30 days; the series list has none that new
+  const movies = items.filter(it => it.category === 'New movie');
+  assert.deepEqual(movies.map(it => it.guid), range(BASE.movie, 15).filter(id => id % 5 !== 0).map(id => `tmdb-movie-${id}`));
+  assert.ok(!items.some(it => it.category === 'New series'));
+  // newest first
+  const dates = items.map(it => Date.parse(it.pubDate));
+  assert.deepEqual(dates, [...dates].sort((a, b) => b - a));
+});
+
+test('/feeds/schedule.ics: upcoming and recent episodes of the chosen shows', async () => {
+  addon.tmdb.override('/tv/100002/season/2', () => ({
+    season_number: 2,
+    episodes: [[1, -30], [4, -7], [5, 2], [6, 9]].map(([n, day]) => ({
+      season_number: 2, episode_number: n, name: `Part ${n}`, air_date: isoDay(day),
+      overview: n === 6 ? 'A long overview; with commas, semicolons and ümlauts that goes well past the seventy-five octets of one line' : ''
+    }))
+  }));
+  const shows = encodeURIComponent('tt0100002, https://www.themoviedb.org/tv/100001-show, tmdb:movie:603, Show');
+  const res = await addon.request(`/feeds/schedule.ics?shows=${shows}`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/calendar/);
+  assert.ok(res.body.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(res.body.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(res.body.split('\r\n').every(l => Buffer.byteLength(l) <= 75));
+
+  const evs = events(res.body);
+  const uids = evs.map(e => e.UID.split('@')[0]);
+  assert.deepEqual(uids.filter(u => u.startsWith('tmdb-tv-100002-')), ['tmdb-tv-100002-s2e4', 'tmdb-tv-100002-s5e16', 'tmdb-tv-100002-s2e5', 'tmdb-tv-100002-s2e6']);
+  // every show's next episode (100001: in 1 day, S02E05), the movie is ignored, titles are searched as series
+  assert.deepEqual([...new Set(uids.map(u => u.match(/^tmdb-tv-(\d+)-/)[1]))].map(Number), [100002, 100001, BASE.tvSearch]);
+
+  const e6 = evs.find(e => e.UID.startsWith('tmdb-tv-100002-s2e6@'));
+  assert.equal(e6['DTSTART;VALUE=DATE'], isoDay(9).replace(/-/g, ''));
+  assert.equal(e6['DTEND;VALUE=DATE'], isoDay(10).replace(/-/g, ''));
+  assert.equal(e6.SUMMARY, 'Show 100002 — S02E06 Part 6');
+  assert.equal(e6.DESCRIPTION, 'A long overview\\; with commas\\, semicolons and ümlauts that goes well past the seventy-five octets of one line');
+  assert.equal(e6.URL, 'https://web.stremio.com/#/detail/series/tt0100002');
+  assert.match(e6.DTSTAMP, /^\d{8}T\d{6}Z$/);
+
+  assert.equal((await addon.request('/feeds/schedule.ics')).status, 400);
+  assert.equal((await addon.request('/feeds/schedule.ics?shows=tmdb:movie:603')).status, 400);
+});
+
+test('export and feeds under a saved profile use its settings', async () => {
+  const res = await addon.request('/profile', { method: 'POST', body: new URLSearchParams({ pageSize: '20', onair: '0' }) });
+  const token = res.headers.get('location').split('/')[1];
+  const { items } = await addon.get(`/${token}/export/series/tmdb-popular-series.json`);
+  assert.equal(items.length, 20);
+  assert.equal((await addon.request(`/${token}/export/series/tmdb-on-air.json`)).status, 404);
+  assert.equal((await addon.request(`/${token}/feeds/schedule.ics?shows=tt0100002`)).status, 200);
+
+  const html = (await addon.request(`/${token}/configure`)).body;
+  assert.ok(html.includes(`/${token}/feeds/new.rss"`));
+  assert.ok(html.includes(`action="/${token}/feeds/schedule.ics"`));
+});
@@ -0,0 +1,141 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startAddon, tmdbIdOf, range } from './helpers.js';
+import { BASE, PER_PAGE, US_MOVIE_CERTS, US_TV_CERTS, isAnime, listItem, paged } from './mock-tmdb.js';
+
+let addon;
+before(async () => { addon = await startAddon(); });
+after(() => addon.close());
+afterEach(() => addon.tmdb.reset());
+
+const catalog = async (type, id, extra = {}, query = '') => {
+  const seg = new URLSearchParams(extra).toString();
+  return (await addon.get(`/catalog/${type}/${id}${seg ? `/${seg}` : ''}.json${query ? `?${query}` : ''}`)).metas;
+};
+const idsOf = (metas) => metas.map(m => tmdbIdOf(m.id));
+// first `count` ids from `from` on that pass `ok`
+const passing = (from, count, ok) => { const out = []; for (let id = from; out.length < count; id++) if (ok(id)) out.push(id); return out; };
+
+test('cfgFromQuery: content filter settings', () => {
+  const cfg = addon.cfgFromQuery({
+    noAdult: '0', certMovie: 'PG-13', certTv: 'TV-14', exGenres: ['27', '16'], exKw: ' Anime, gore,,anime ',
+    block: 'tt0944947, tmdb:movie:603 https://www.themoviedb.org/tv/1399-game-of-thrones tt0944947 nonsense'
+  });
+  assert.equal(cfg.excludeAdult, false);
+  assert.equal(cfg.maxCertMovie, 'PG-13');
+  assert.equal(cfg.maxCertTv, 'TV-14');
+  assert.deepEqual(cfg.excludeGenres, ['27', '16']);
+  assert.deepEqual(cfg.excludeKeywords, ['anime', 'gore']);
+  assert.deepEqual(cfg.blocklist, ['tt0944947', 'movie:603', 'tv:1399']);
+  assert.equal(addon.cfgFromQuery({}).excludeAdult, true);
+  assert.equal(addon.cfgFromQuery({ certMovie: '<script>' }).maxCertMovie, '');
+  assert.deepEqual(addon.cfgFromQuery(Object.fromEntries(addon.cfgToParams(cfg))), cfg);
+});
+
+test('maximum certification: list rails keep rated titles up to the limit, windows stay contiguous', async () => {
+  const ok = (id) => id % 10 !== 7 && US_MOVIE_CERTS.indexOf(US_MOVIE_CERTS[id % 4]) <= US_MOVIE_CERTS.indexOf('PG-13');
+  const expected = passing(BASE.movie, 100, ok);
+  const q = 'region=US&certMovie=PG-13&pageSize=50';
+  const first = await catalog('movie', 'tmdb-popular-movies', {}, q);
+  const second = await catalog('movie', 'tmdb-popular-movies', { skip: 50 }, q);
+  assert.deepEqual([...idsOf(first), ...idsOf(second)], expected);
+
+  let calls = await addon.tmdbCalls(() => catalog('movie', 'tmdb-discover-movies', {}, q));
+  const discover = calls.find(c => c.path === '/discover/movie').params;
+  assert.equal(discover.certification_country, 'US');
+  assert.equal(discover['certification.lte'], 'PG-13');
+
+  // series use the TV ladder; a maximum the region doesn't have is ignored
+  const tvOk = (id) => id % 10 !== 7 && US_TV_CERTS.indexOf(US_TV_CERTS[id % 4]) <= US_TV_CERTS.indexOf('TV-PG');
+  assert.deepEqual(idsOf(await catalog('series', 'tmdb-popular-series', {}, 'region=US&certTv=TV-PG&pageSize=20')), passing(BASE.tv, 20, tvOk));
+  calls = await addon.tmdbCalls(async () => {
+    assert.equal((await catalog('series', 'tmdb-popular-series', {}, 'region=US&certTv=FSK-99&pageSize=20')).length, 20);
+  });
+  assert.ok(!calls.some(c => c.path.endsWith('/content_ratings')));
+});
+
+test('excluded genres and keywords', async () => {
+  const genreOk = (id) => id % 6 !== 5;
+  assert.deepEqual(idsOf(await catalog('movie', 'tmdb-popular-movies', {}, 'exGenres=27&pageSize=50')), passing(BASE.movie, 50, genreOk));
+  const calls = await addon.tmdbCalls(() => catalog('movie', 'tmdb-discover-movies', {}, 'exGenres=27,53'));
+  assert.equal(calls.find(c => c.path === '/discover/movie').params.without_genres, '27,53');
+
+  assert.deepEqual(idsOf(await catalog('series', 'tmdb-on-air', {}, 'exKw=anime&pageSize=50')), passing(BASE.tv, 50, id => !isAnime(id)));
+  // keyword terms also match genre names
+  assert.deepEqual(idsOf(await catalog('movie', 'tmdb-popular-movies', {}, 'exKw=horror&pageSize=50')), passing(BASE.movie, 50, genreOk));
+});
+
+test('blocklist: IMDb ids, tmdb: ids and TMDB links', async () => {
+  const block = encodeURIComponent('tt0600001, tmdb:movie:600003 https://www.themoviedb.org/movie/600004-some-title tt0100002');
+  const movies = idsOf(await catalog('movie', 'tmdb-popular-movies', {}, `block=${block}&pageSize=20`));
+  assert.deepEqual(movies, passing(BASE.movie, 20, id => ![600001, 600003, 600004].includes(id)));
+  const shows = idsOf(await catalog('series', 'tmdb-popular-series', {}, `block=${block}&pageSize=20`));
+  assert.deepEqual(shows, passing(BASE.tv, 20, id => id !== 100002));
+});
+
+test('adult titles are hidden unless switched off', async () => {
+  addon.tmdb.override('/tv/airing_today', (q) => paged(Number(q.get('page')), k => ({ ...listItem('tv', BASE.tv + k), adult: k % 2 === 1 })));
+  assert.deepEqual(idsOf(await catalog('series', 'tmdb-airing-today', {}, 'pageSize=20')), passing(BASE.tv, 20, id => id % 2 === 0));
+  assert.deepEqual(idsOf(await catalog('series', 'tmdb-airing-today', {}, 'noAdult=0&pageSize=20')), range(BASE.tv, 20));
+});
+
+test('a filter that rejects every title stops after a few pages past the window', async () => {
+  addon.tmdb.override('/tv/popular', (q) => paged(Number(q.get('page')), k => listItem('tv', BASE.tv + k), 500));
+  let metas;
+  // every title carries the "sequel" keyword; another language than the other tests, so nothing comes from the cache
+  const calls = await addon.tmdbCalls(async () => { metas = await catalog('series', 'tmdb-popular-series', {}, 'exKw=sequel&pageSize=20&lang=fr-FR'); });
+  assert.deepEqual(metas, []);
+  assert.deepEqual(calls.filter(c => c.path === '/tv/popular').map(c => Number(c.params.page)).sort((a, b) => a - b), range(1, 6));
+  assert.ok(calls.filter(c => c.path.endsWith('/keywords')).length <= 6 * PER_PAGE);
+});
+
+test('calendar rails are filtered before they are sorted and windowed', async () => {
+  const metas = await catalog('series', 'tmdb-next-7-days', {}, 'exKw=anime');
+  assert.ok(metas.length > 0);
+  assert.ok(idsOf(metas).every(id => !isAnime(id)));
+});
+
+test('search-triggered recs rails and For you are filtered', async () => {
+  const recs = idsOf(await catalog('movie', 'tmdb-recs-movie', { search: 'Movie' }, 'exGenres=27'));
+  assert.deepEqual(recs, passing(BASE.movieRecs, 50, id => id % 6 !== 5));
+  const series = idsOf(await catalog('series', 'tmdb-recs-series', { search: 'Show', skip: 50 }, 'exKw=anime'));
+  assert.deepEqual(series, passing(BASE.tvRecs, 100, id => !isAnime(id)).slice(50));
+});
+
+test('"Did you mean…" rows skip filtered matches', async () => {
+  const block = encodeURIComponent(`tmdb:movie:${BASE.movieSearch}`);
+  const metas = await catalog('movie', 'tmdb-candidates-movie', { search: 'Alien' }, `block=${block}`);
+  assert.equal(metas.length, 5);
+  assert.ok(!idsOf(metas).includes(BASE.movieSearch));
+});
+
+test('Season 0 recommendations are filtered', async () => {
+  const { meta } = await addon.get(`/meta/series/${encodeURIComponent('tmdb:tv:100011')}.json?region=US&certTv=TV-14`);
+  const recs = meta.videos.filter(v => v.season === 0);
+  const ok = (id) => id % 10 !== 7 && id % 4 !== 3;
+  assert.equal(recs.length, 20);
+  assert.deepEqual(recs.map(v => tmdbIdOf(v.id.replace(/^recs:series:tt:/, ''))), passing(BASE.tvRecs, 20, ok));
+});
+
+test('person pages list only the credits that pass the filters', async () => {
+  const block = encodeURIComponent('tmdb:tv:1396 tmdb:movie:64690');
+  const { meta } = await addon.get(`/meta/series/${encodeURIComponent('tmdb:person:17419')}.json?block=${block}`);
+  assert.deepEqual(meta.videos.map(v => [v.season, v.id]), [[1, 'recs:series:tmdb-2004'], [2, 'recs:movie:tmdb-68734']]);
+});
+
+test('collection pages, the Collection season and Collections search leave filtered movies out', async () => {
+  const block = encodeURIComponent('tmdb:movie:272');
+  const { meta } = await addon.get(`/meta/movie/${encodeURIComponent('tmdb:collection:263')}.json?block=${block}`);
+  assert.deepEqual(meta.videos.map(v => v.id), ['recs:movie:tt:tt0000155', 'recs:movie:tt:tt0049026']);
+  assert.match(meta.description, /2 movies$/);
+
+  const movie = (await addon.get(`/meta/movie/${encodeURIComponent('tmdb:movie:600002')}.json?block=${block}`)).meta;
+  assert.deepEqual(movie.videos.filter(v => v.season === 1).map(v => v.id), ['recs:movie:tt:tt0000155', 'recs:movie:tt:tt0049026']);
+
+  // a collection with no movie left is not listed, nor is its Collection season
+  const all = encodeURIComponent('tmdb:movie:272 tmdb:movie:155 tmdb:movie:49026');
+  assert.equal((await catalog('movie', 'tmdb-collections', { search: 'Batman' })).length, 40);
+  assert.deepEqual(await catalog('movie', 'tmdb-collections', { search: 'Batman' }, `block=${all}`), []);
+  const bare = (await addon.get(`/meta/movie/${encodeURIComponent('tmdb:movie:600002')}.json?block=${all}`)).meta;
+  assert.ok(!bare.seasons.some(s => s.season === 1));
+});
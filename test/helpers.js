@@ -0,0 +1,57 @@
+// Boots index.js against the mock TMDB server on free ports. Each test file runs in its own process
+// (node --test), so every file gets a fresh add-on with empty caches.
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startMockTmdb } from './mock-tmdb.js';
+
+// env overrides the defaults below (e.g. TMDB_IMAGE_BASE pointing at a local image server, or a DATA_DIR
+// with stores from a previous run); by default the on-disk stores go to a fresh temporary directory
+export async function startAddon(env = {}) {
+  const tmdb = await startMockTmdb();
+  Object.assign(process.env, {
+    TMDB_API_KEY: 'test-key',
+    TMDB_BASE_URL: tmdb.url,
+    TMDB_IMAGE_BASE: 'http://images.test/t/p',
+    TMDB_RPS: '1000',
+    TMDB_RETRIES: '0',
+    LOG_LEVEL: 'error',
+    DATA_DIR: mkdtempSync(join(tmpdir(), 'tmdb-addon-')),
+    ...env
+  });
+  for (const name of ['TMDB_CACHE_FILE', 'ID_MAP_FILE', 'PROFILE_FILE']) if (!(name in env)) delete process.env[name];
+
+  const addon = await import('../index.js');
+  const server = await new Promise(r => { const s = addon.app.listen(0, '127.0.0.1', () => r(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (path, init) => {
+    const res = await fetch(`${base}${path}`, { redirect: 'manual', ...init });
+    const type = res.headers.get('content-type') || '';
+    return { status: res.status, headers: res.headers, body: type.includes('json') ? await res.json() : await res.text() };
+  };
+  // JSON body of a successful GET
+  const get = async (path) => {
+    const res = await request(path);
+    if (res.status !== 200) throw new Error(`GET ${path} → ${res.status}: ${JSON.stringify(res.body)}`);
+    return res.body;
+  };
+
+  // TMDB requests made while running fn (path → params), for asserting which pages a rail fetched
+  const tmdbCalls = async (fn) => {
+    const from = tmdb.requests.length;
+    await fn();
+    return tmdb.requests.slice(from);
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise(r => server.close(r));
+    await tmdb.close();
+  };
+  return { ...addon, tmdb, base, request, get, tmdbCalls, close };
+}
+
+// ids of the synthetic titles behind a list of metas (IMDb or tmdb: ids)
+export const tmdbIdOf = (id) => Number(String(id).match(/(\d+)$/)[1]);
+export const range = (from, count) => Array.from({ length: count }, (_, i) => from + i);
@@ -0,0 +1,39 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startAddon, range } from './helpers.js';
+import { paged } from './mock-tmdb.js';
+
+// at most 10 titles per history, so at most 20 entries are looked up
+let addon;
+before(async () => { addon = await startAddon({ HISTORY_MAX: '10' }); });
+after(() => addon.close());
+afterEach(() => addon.tmdb.reset());
+
+const importHistory = (history) => addon.request('/history', { method: 'POST', body: new URLSearchParams({ history }) });
+const profilesGauge = async () => Number((await addon.request('/metrics')).body.match(/^profiles (\d+)$/m)[1]);
+const findCalls = (calls) => calls.filter(c => c.path.startsWith('/find/')).map(c => c.path.slice(6)).sort();
+
+test('only the first entries of a long history are looked up', async () => {
+  const ids = range(100000, 300).map(id => `tt0${id}`);
+  const calls = await addon.tmdbCalls(async () => assert.equal((await importHistory(ids.join('\n'))).status, 303));
+  assert.deepEqual(findCalls(calls), ids.slice(0, 20));
+});
+
+test('repeated ids and episode rows of the same show are looked up once', async () => {
+  let calls = await addon.tmdbCalls(() => importHistory('tt0600001 tt0600002 tt0600001\ntt0600002'));
+  assert.deepEqual(findCalls(calls), ['tt0600001', 'tt0600002']);
+
+  const csv = ['watched_at,type,show_title,show_imdb_id', ...range(1, 30).map(n => `2024-01-${String(n).padStart(2, '0')},episode,Show,tt0100042`), '2023-12-01,movie,Film,tt0600042'].join('\n');
+  calls = await addon.tmdbCalls(() => importHistory(csv));
+  assert.deepEqual(findCalls(calls), ['tt0100042', 'tt0600042']);
+});
+
+test('a history where nothing matches is rejected and saves no profile', async () => {
+  addon.tmdb.override('/search/tv', () => paged(1, () => null, 0));
+  addon.tmdb.override('/search/movie', () => paged(1, () => null, 0));
+  const before = await profilesGauge();
+  const res = await importHistory('Title,Year\nNo such film,1999\nNor this one,2001');
+  assert.equal(res.status, 400);
+  assert.match(res.body, /None of the 2 entries/);
+  assert.equal(await profilesGauge(), before);
+});
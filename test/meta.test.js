@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startAddon, range } from './helpers.js';
+import { BASE, imdbOf } from './mock-tmdb.js';
+
+let addon;
+before(async () => { addon = await startAddon(); });
+after(() => addon.close());
+
+const meta = async (type, id, query = '') => (await addon.get(`/meta/${type}/${encodeURIComponent(id)}.json${query ? `?${query}` : ''}`)).meta;
+const season = (m, s) => m.videos.filter(v => v.season === s);
+
+test('tmdb:tv meta: Season 0 holds 20 recommendations with recs: ids', async () => {
+  const m = await meta('series', 'tmdb:tv:100005');
+  assert.equal(m.id, 'tmdb:tv:100005');
+  assert.equal(m.type, 'series');
+  assert.equal(m.name, 'Show 100005');
+  assert.deepEqual(m.seasons[0], { season: 0, name: 'Recommendations' });
+
+  const recs = season(m, 0);
+  assert.equal(recs.length, 20);
+  assert.deepEqual(recs.map(v => v.episode), range(1, 20));
+  assert.deepEqual(recs.map(v => v.id), range(BASE.tvRecs, 20).map(id => `recs:series:tt:${imdbOf(id)}`));
+  assert.equal(recs[0].title, `Show ${BASE.tvRecs} (2008)`);
+  assert.match(recs[0].thumbnail, /^http:\/\/images\.test\/t\/p\/w500\//);
+  assert.doesNotMatch(recs[0].overview, /Streaming on/, 'the fixture has no GB providers');
+
+  const us = season(await meta('series', 'tmdb:tv:100005', 'region=US'), 0);
+  assert.match(us[0].overview, /^Streaming on: Netflix\n/, 'Season-0 entries say where they stream');
+});
+
+test('Season 0 size comes from the config and reads through further recommendation pages', async () => {
+  let m;
+  const calls = await addon.tmdbCalls(async () => { m = await meta('movie', 'tmdb:movie:600021', 's0Size=50'); });
+  assert.deepEqual(season(m, 0).map(v => v.id), range(BASE.movieRecs, 50).map(id => `recs:movie:tt:${imdbOf(id)}`));
+  assert.deepEqual(season(m, 0).map(v => v.episode), range(1, 50));
+  assert.deepEqual(calls.filter(c => c.path === '/movie/600021/recommendations').map(c => c.params.page), ['1', '2', '3']);
+});
+
+test('similar: meta: TMDB similar titles as Season 0', async () => {
+  const m = await meta('series', 'similar:series:100005');
+  assert.equal(m.name, 'Similar to Show 100005');
+  assert.deepEqual(m.seasons, [{ season: 0, name: 'Similar titles' }]);
+  assert.deepEqual(season(m, 0).map(v => v.id), range(BASE.tvSimilar, 20).map(id => `recs:series:tt:${imdbOf(id)}`));
+  const movies = await meta('movie', 'similar:movie:600021', 's0Size=50');
+  assert.deepEqual(season(movies, 0).map(v => v.id), range(BASE.movieSimilar, 50).map(id => `recs:movie:tt:${imdbOf(id)}`));
+});
+
+test('tmdb:tv meta: appended details, regular seasons and scheduled episodes', async () => {
+  const m = await meta('series', 'tmdb:tv:100005');
+  assert.deepEqual(m.links.find(l => l.category === 'TMDB'), { name: '8.9', category: 'TMDB', url: 'https://www.themoviedb.org/tv/100005' });
+  assert.deepEqual(m.links.find(l => l.category === 'imdb'), { name: 'IMDb', category: 'imdb', url: 'https://www.imdb.com/title/tt0100005/' });
+  assert.equal(m.imdbRating, undefined, 'the TMDB score is not passed off as an IMDb rating');
+  assert.match(m.description, /Rated TV-MA/);
+  assert.deepEqual(m.cast.slice(0, 2), ['Bryan Cranston', 'Aaron Paul']);
+  assert.ok(m.logo);
+  assert.deepEqual(m.seasons.map(s => s.season), [0, 1, 2], 'TMDB specials are not listed');
+  assert.deepEqual(season(m, 1).map(v => v.id), ['tmdb:tv:100005:1:1', 'tmdb:tv:100005:1:2']);
+  assert.deepEqual(season(m, 2).map(v => v.title), ['Pilot', "Cat's in the Bag..."]);
+  assert.ok(season(m, 1).every(v => v.available));
+  assert.deepEqual(m.behaviorHints, { hasScheduledVideos: true });
+});
+
+test('tmdb:movie meta: recommendations plus the collection as Season 1', async () => {
+  const m = await meta('movie', 'tmdb:movie:600010');
+  assert.equal(m.type, 'movie');
+  assert.match(m.description, /Rated PG-13/);
+  assert.deepEqual(m.seasons, [{ season: 0, name: 'Recommendations' }, { season: 1, name: 'Collection' }]);
+  assert.deepEqual(season(m, 0).map(v => v.id), range(BASE.movieRecs, 20).map(id => `recs:movie:tt:${imdbOf(id)}`));
+  // collection parts in release order
+  assert.deepEqual(season(m, 1).map(v => v.title), ['Batman Begins (2005)', 'The Dark Knight (2008)', 'The Dark Knight Rises (2012)']);
+  assert.deepEqual(season(m, 1).map(v => v.id), ['recs:movie:tt:tt0000272', 'recs:movie:tt:tt0000155', 'recs:movie:tt:tt0049026']);
+
+  const solo = await meta('movie', 'tmdb:movie:600011');
+  assert.deepEqual(solo.seasons, [{ season: 0, name: 'Recommendations' }]);
+  assert.deepEqual((await meta('movie', 'tmdb:movie:600010', 'collections=0')).seasons.map(s => s.season), [0]);
+});
+
+test('recs: meta pages resolve both id shapes to the title and its recommendations', async () => {
+  const byImdb = await meta('series', 'recs:series:tt:tt0100020');
+  assert.equal(byImdb.id, 'recs:series:tt:tt0100020');
+  assert.equal(byImdb.name, 'Show 100020');
+  assert.equal(season(byImdb, 0).length, 20);
+
+  const byTmdb = await meta('movie', 'recs:movie:tmdb-600099');
+  assert.equal(byTmdb.name, 'Movie 600099');
+  assert.deepEqual(season(byTmdb, 0).map(v => v.id), range(BASE.movieRecs, 20).map(id => `recs:movie:tt:${imdbOf(id)}`));
+
+  // an IMDb id of the other type keeps the placeholder page
+  const other = await meta('series', 'recs:series:tt:tt0600020');
+  assert.equal(other.name, 'More recommendations');
+  assert.deepEqual(other.videos, []);
+});
+
+test('tmdb:person and tmdb:collection meta pages', async () => {
+  const person = await meta('series', 'tmdb:person:17419');
+  assert.equal(person.name, 'Bryan Cranston');
+  assert.deepEqual(person.seasons, [{ season: 1, name: 'Series' }, { season: 2, name: 'Movies' }]);
+  assert.equal(season(person, 1)[0].overview, 'Walter White, Producer');
+  assert.ok(person.videos.every(v => /^recs:(series|movie):/.test(v.id)));
+
+  const collection = await meta('movie', 'tmdb:collection:263');
+  assert.equal(collection.name, 'The Dark Knight Collection');
+  assert.deepEqual(collection.videos.map(v => v.episode), [1, 2, 3]);
+});
+
+test('unknown ids give an empty meta', async () => {
+  assert.deepEqual(await meta('series', 'kitsu:123'), {});
+});
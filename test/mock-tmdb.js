@@ -0,0 +1,190 @@
+// Local stand-in for api.themoviedb.org/3, built from the TMDB-shaped fixtures in test/fixtures.
+// Every paged list is deterministic: item k (0-based) of list L has id base(L) + k, so a test can
+// tell from the ids alone which window of which list a rail returned.
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+const FIX = Object.fromEntries(['tv-list-item', 'movie-list-item', 'tv-details', 'movie-details', 'tv-season', 'genres-tv', 'genres-movie',
+  'collection', 'person', 'watch-providers', 'title-providers', 'certifications-movie', 'certifications-tv'].map(n => [n, fixture(n)]));
+
+export const PER_PAGE = 20;
+export const TOTAL_PAGES = 10;
+// TV ids stay below MOVIE_MIN so /find can tell the type from an IMDb id
+export const MOVIE_MIN = 500000;
+export const BASE = {
+  tv: 100000, tvRecs: 200000, tvSimilar: 300000, tvSearch: 400000,
+  movie: 600000, movieRecs: 700000, movieSimilar: 800000, movieSearch: 900000,
+  person: 10000, collection: 20000
+};
+
+// IMDb id of a synthetic title; ids ending in 99 have none (exercises the tmdb-… fallbacks)
+export const imdbOf = (id) => (Number(id) % 100 === 99 ? null : `tt${String(id).padStart(7, '0')}`);
+export const idOfImdb = (imdb) => Number(imdb.slice(2));
+export const isoDay = (offsetDays = 0) => new Date(Date.now() + offsetDays * 864e5).toISOString().slice(0, 10);
+
+// Every sixth title is animation (TV) or horror (movies), for the genre filters; ids ending in 98 have no poster
+export const hasPoster = (id) => id % 100 !== 98;
+export function listItem(tmdbType, id, name) {
+  const base = tmdbType === 'tv' ? FIX['tv-list-item'] : FIX['movie-list-item'];
+  const title = name ?? `${tmdbType === 'tv' ? 'Show' : 'Movie'} ${id}`;
+  const genre_ids = id % 6 === 5 ? (tmdbType === 'tv' ? [16, 10759] : [27, 53]) : base.genre_ids;
+  const poster_path = hasPoster(id) ? base.poster_path : null;
+  return tmdbType === 'tv'
+    ? { ...base, id, genre_ids, poster_path, name: title, original_name: title, popularity: 1000 - (id % 1000) }
+    : { ...base, id, genre_ids, poster_path, title, original_title: title, popularity: 1000 - (id % 1000) };
+}
+
+// /images: an English poster for every title with one, German ones for even ids
+export const postersOf = (id) => !hasPoster(id) ? [] : [
+  { file_path: `/en-${id}.jpg`, iso_639_1: 'en', vote_average: 5.5, vote_count: 10 },
+  ...(id % 2 === 0 ? [
+    { file_path: `/de-${id}-b.jpg`, iso_639_1: 'de', vote_average: 5.1, vote_count: 4 },
+    { file_path: `/de-${id}.jpg`, iso_639_1: 'de', vote_average: 5.3, vote_count: 2 }
+  ] : [])
+];
+
+// Ratings cycle through the US ladder by id; ids ending in 7 are unrated. Every fifth title is tagged anime.
+export const US_MOVIE_CERTS = ['G', 'PG', 'PG-13', 'R'];
+export const US_TV_CERTS = ['TV-Y', 'TV-PG', 'TV-14', 'TV-MA'];
+const rated = (id) => id % 10 !== 7;
+export const isAnime = (id) => id % 5 === 0;
+const keywordsOf = (id) => [{ id: 9663, name: 'sequel' }, ...(isAnime(id) ? [{ id: 210024, name: 'anime' }] : [])];
+export const paged = (page, make, totalPages = TOTAL_PAGES) => ({
+  page,
+  total_pages: totalPages,
+  total_results: totalPages * PER_PAGE,
+  results: page > totalPages ? [] : Array.from({ length: PER_PAGE }, (_, k) => make((page - 1) * PER_PAGE + k))
+});
+
+// Shows aired their last episode (id % 10) + 1 days ago and air the next one (id % 10) days from today;
+// every third one opens a new season
+function tvDetails(id, appends) {
+  const { aggregate_credits, credits, videos, external_ids, content_ratings, keywords, images, ...base } = FIX['tv-details'];
+  const appended = { aggregate_credits, credits, videos, external_ids: { ...external_ids, imdb_id: imdbOf(id) }, content_ratings, keywords, images: { ...images, posters: postersOf(id) } };
+  return {
+    ...base,
+    ...listItem('tv', id),
+    in_production: true,
+    last_episode_to_air: { ...base.last_episode_to_air, air_date: isoDay(-(id % 10) - 1) },
+    next_episode_to_air: { id: id * 10, name: 'Next', air_date: isoDay(id % 10), season_number: 2, episode_number: id % 3 === 0 ? 1 : 5 },
+    ...Object.fromEntries(appends.filter(a => a in appended).map(a => [a, appended[a]]))
+  };
+}
+// Even movie ids belong to a collection
+function movieDetails(id, appends) {
+  const { credits, videos, external_ids, release_dates, keywords, images, ...base } = FIX['movie-details'];
+  const appended = { credits, videos, external_ids: { ...external_ids, imdb_id: imdbOf(id) }, release_dates, keywords, images: { ...images, posters: postersOf(id) } };
+  return {
+    ...base,
+    ...listItem('movie', id),
+    imdb_id: imdbOf(id),
+    belongs_to_collection: id % 2 === 0 ? { id: FIX.collection.id, name: FIX.collection.name } : null,
+    ...Object.fromEntries(appends.filter(a => a in appended).map(a => [a, appended[a]]))
+  };
+}
+
+// Search results: the first two hits of each type are titled exactly as the query, so a bare
+// title is ambiguous ("did you mean…") while still resolving to the first hit.
+function searchResults(tmdbType, query, page) {
+  const base = tmdbType === 'tv' ? BASE.tvSearch : BASE.movieSearch;
+  return paged(page, k => listItem(tmdbType, base + k, k < 2 ? query : `${query} ${k}`), 1);
+}
+
+function route(path, q, overrides) {
+  if (overrides.has(path)) return overrides.get(path)(q);
+  const page = Number(q.get('page') || 1);
+  const appends = (q.get('append_to_response') || '').split(',').filter(Boolean);
+  let m;
+  if (path === '/configuration') return { images: { secure_base_url: 'https://image.tmdb.org/t/p/' } };
+  if ((m = path.match(/^\/genre\/(tv|movie)\/list$/))) return FIX[`genres-${m[1]}`];
+  if (/^\/watch\/providers\/(tv|movie)$/.test(path)) return FIX['watch-providers'];
+  if ((m = path.match(/^\/(tv|movie)\/(\d+)\/watch\/providers$/))) return { ...FIX['title-providers'], id: Number(m[2]) };
+  if ((m = path.match(/^\/certification\/(tv|movie)\/list$/))) return FIX[`certifications-${m[1]}`];
+  if ((m = path.match(/^\/movie\/(\d+)\/release_dates$/))) {
+    const id = Number(m[1]);
+    return { id, results: rated(id) ? [{ iso_3166_1: 'US', release_dates: [{ certification: '', type: 1 }, { certification: US_MOVIE_CERTS[id % 4], type: 3 }] }] : [] };
+  }
+  if ((m = path.match(/^\/tv\/(\d+)\/content_ratings$/))) {
+    const id = Number(m[1]);
+    return { id, results: rated(id) ? [{ iso_3166_1: 'US', rating: US_TV_CERTS[id % 4] }] : [] };
+  }
+  if ((m = path.match(/^\/(tv|movie)\/(\d+)\/keywords$/))) {
+    const id = Number(m[2]);
+    return m[1] === 'movie' ? { id, keywords: keywordsOf(id) } : { id, results: keywordsOf(id) };
+  }
+  if ((m = path.match(/^\/(tv|movie)\/(\d+)\/external_ids$/))) return { id: Number(m[2]), imdb_id: imdbOf(m[2]) };
+  if ((m = path.match(/^\/(tv|movie)\/(\d+)\/images$/))) {
+    const langs = (q.get('include_image_language') || '').split(',');
+    return { id: Number(m[2]), backdrops: [], logos: [], posters: postersOf(Number(m[2])).filter(p => langs.includes(p.iso_639_1)) };
+  }
+  if ((m = path.match(/^\/find\/(tt\d+)$/))) {
+    const id = idOfImdb(m[1]);
+    return id < MOVIE_MIN
+      ? { movie_results: [], tv_results: [listItem('tv', id)] }
+      : { movie_results: [listItem('movie', id)], tv_results: [] };
+  }
+  if ((m = path.match(/^\/(tv|movie)\/(\d+)\/(recommendations|similar)$/))) {
+    const key = `${m[1]}${m[3] === 'similar' ? 'Similar' : 'Recs'}`;
+    return paged(page, k => listItem(m[1], BASE[key] + k));
+  }
+  if ((m = path.match(/^\/tv\/(\d+)\/season\/(\d+)$/))) {
+    const s = Number(m[2]);
+    return { ...FIX['tv-season'], season_number: s, episodes: FIX['tv-season'].episodes.map(ep => ({ ...ep, season_number: s })) };
+  }
+  if ((m = path.match(/^\/tv\/(\d+)$/))) return tvDetails(Number(m[1]), appends);
+  if ((m = path.match(/^\/movie\/(\d+)$/))) return movieDetails(Number(m[1]), appends);
+  if (/^\/(person\/popular|search\/person)$/.test(path)) {
+    return paged(page, k => ({ id: BASE.person + k, name: `Person ${k}`, adult: false, known_for_department: 'Acting', profile_path: FIX.person.profile_path, known_for: [listItem('tv', BASE.tv + k)] }));
+  }
+  if ((m = path.match(/^\/person\/(\d+)$/))) {
+    const { combined_credits, external_ids, ...person } = FIX.person;
+    return { ...person, id: Number(m[1]), ...(appends.length ? { combined_credits, external_ids } : {}) };
+  }
+  if (path === '/search/collection') {
+    const { parts, ...c } = FIX.collection;
+    return paged(page, k => ({ ...c, id: BASE.collection + k, name: `${q.get('query')} Collection ${k}` }), 2);
+  }
+  if ((m = path.match(/^\/collection\/(\d+)$/))) return { ...FIX.collection, id: Number(m[1]) };
+  if ((m = path.match(/^\/search\/(tv|movie)$/))) return searchResults(m[1], q.get('query') || '', page);
+  if (path === '/trending/all/week') return paged(page, k => ({ ...listItem('tv', BASE.tv + k), media_type: 'tv' }));
+  if ((m = path.match(/^\/(?:discover\/(tv|movie)|(tv)\/(?:on_the_air|popular|airing_today)|(movie)\/popular)$/))) {
+    const tmdbType = m[1] || m[2] || m[3];
+    return paged(page, k => listItem(tmdbType, BASE[tmdbType] + k));
+  }
+  return null;
+}
+
+// an override's answer with its own status and headers (e.g. a 429 with Retry-After) instead of a 200
+const REPLY = Symbol('reply');
+export const reply = (status, body = {}, headers = {}) => ({ [REPLY]: true, status, body, headers });
+
+// → { url, requests: [{ path, params }], override(path, fn), reset(), close() }. Paths are relative to /3;
+// override() serves a path from fn(searchParams) instead of the built-in synthetic data and returns a function
+// that undoes it; reset() drops every override (test files call it afterEach, so no test sees another's fixtures).
+export async function startMockTmdb() {
+  const requests = [];
+  const overrides = new Map();
+  const server = createServer((req, res) => {
+    const u = new URL(req.url, 'http://localhost');
+    const path = u.pathname.replace(/^\/3/, '');
+    const params = Object.fromEntries([...u.searchParams].filter(([k]) => k !== 'api_key'));
+    requests.push({ path, params });
+    const send = (status, body, headers = {}) => { res.writeHead(status, { 'content-type': 'application/json', ...headers }); res.end(JSON.stringify(body)); };
+    if (!u.searchParams.get('api_key')) return send(401, { status_code: 7, status_message: 'Invalid API key: You must be granted a valid key.' });
+    const body = route(path, u.searchParams, overrides);
+    if (body?.[REPLY]) return send(body.status, body.body, body.headers);
+    return body ? send(200, body) : send(404, { status_code: 34, status_message: 'The resource you requested could not be found.' });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/3`,
+    requests,
+    override: (path, fn) => {
+      overrides.set(path, fn);
+      return () => { if (overrides.get(path) === fn) overrides.delete(path); };
+    },
+    reset: () => overrides.clear(),
+    close: () => new Promise(r => { server.closeAllConnections(); server.close(r); })
+  };
+}
@@ -0,0 +1,26 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startAddon } from './helpers.js';
+
+// /poster without sharp (POSTER_SHARP=0 behaves as if it weren't installed)
+let addon;
+before(async () => { addon = await startAddon({ POSTER_SHARP: '0' }); });
+after(() => addon.close());
+
+const fetchPoster = (path) => fetch(`${addon.base}${path}`, { redirect: 'manual' });
+
+test('placeholders are served as SVG', async () => {
+  const res = await fetchPoster('/poster/tmdb:movie:600098.jpg?img=low&lang=en-GB');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^image\/svg\+xml/);
+  const svg = await res.text();
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="185" height="278" /);
+  assert.match(svg, />MOVIE</);
+});
+
+test('overlays redirect to the plain TMDB poster', async () => {
+  const res = await fetchPoster('/poster/tmdb:tv:100001.jpg?overlay=1');
+  assert.equal(res.status, 302);
+  assert.match(res.headers.get('location'), /^https?:\/\/.*\/w500\/ztkUQFLlC19CCMYHW9o1zWhJRNq\.jpg$/);
+  assert.doesNotMatch((await addon.request('/metrics')).body, /poster_renders_total\{outcome="overlay"\}/);
+});
@@ -0,0 +1,141 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { startAddon } from './helpers.js';
+
+// sharp is optional: without it the raster checks are skipped (posters-fallback.test.js covers that path)
+const sharp = (await import('sharp').catch(() => null))?.default;
+const needsSharp = { skip: !sharp && 'sharp is not installed' };
+
+// stand-in for image.tmdb.org: a solid 500×750 JPEG for every path except /…/missing.jpg
+const SOURCE_RGB = [51, 102, 153];
+let addon, images, imageRequests = [];
+before(async () => {
+  const jpeg = sharp ? await sharp({ create: { width: 500, height: 750, channels: 3, background: { r: SOURCE_RGB[0], g: SOURCE_RGB[1], b: SOURCE_RGB[2] } } }).jpeg().toBuffer() : Buffer.alloc(0);
+  images = createServer((req, res) => {
+    imageRequests.push(req.url);
+    if (req.url.endsWith('/missing.jpg')) { res.writeHead(404); return res.end(); }
+    res.writeHead(200, { 'content-type': 'image/jpeg' });
+    res.end(jpeg);
+  });
+  await new Promise(r => images.listen(0, '127.0.0.1', r));
+  addon = await startAddon({ TMDB_IMAGE_BASE: `http://127.0.0.1:${images.address().port}/t/p` });
+});
+after(async () => {
+  await addon.close();
+  images.closeAllConnections();
+  await new Promise(r => images.close(r));
+});
+afterEach(() => addon.tmdb.reset());
+
+const imageBase = () => `http://127.0.0.1:${images.address().port}/t/p`;
+const FIXTURE_POSTER = '/ztkUQFLlC19CCMYHW9o1zWhJRNq.jpg';
+const metas = async (type, id, query = '') => (await addon.get(`/catalog/${type}/${id}.json${query ? `?${query}` : ''}`)).metas;
+const metaById = (list, id) => list.find(m => m.id === id);
+const fetchPoster = (url) => fetch(url, { redirect: 'manual' });
+// RGB of one pixel, in 500×750 poster coordinates
+async function pixel(buf, x, y) {
+  const { data, info } = await sharp(buf).raw().toBuffer({ resolveWithObject: true });
+  const px = Math.round(x * info.width / 500), py = Math.round(y * info.height / 750);
+  return [...data.subarray((py * info.width + px) * info.channels, (py * info.width + px) * info.channels + 3)];
+}
+const near = (rgb, want) => rgb.every((v, i) => Math.abs(v - want[i]) < 24);
+
+test('cfgFromQuery: artwork settings', () => {
+  const cfg = addon.cfgFromQuery({ img: 'low', locPosters: '1', overlay: '1' });
+  assert.deepEqual([cfg.imageQuality, cfg.localPosters, cfg.posterOverlay], ['low', true, true]);
+  const defaults = addon.cfgFromQuery({ img: 'w9000' });
+  assert.deepEqual([defaults.imageQuality, defaults.localPosters, defaults.posterOverlay], ['standard', false, false]);
+  assert.deepEqual(addon.cfgFromQuery(Object.fromEntries(addon.cfgToParams(cfg))), cfg);
+});
+
+test('image quality picks the TMDB sizes for posters, backgrounds and logos', async () => {
+  const sizes = async (query) => {
+    const [m] = await metas('series', 'tmdb-popular-series', query);
+    const { meta } = await addon.get(`/meta/series/tmdb:tv:100000.json?${query}`);
+    return [m.poster, m.background, meta.logo].map(u => u.slice(imageBase().length).split('/')[1]);
+  };
+  assert.deepEqual(await sizes(''), ['w500', 'w1280', 'w500']);
+  assert.deepEqual(await sizes('img=low'), ['w185', 'w780', 'w185']);
+  assert.deepEqual(await sizes('img=high'), ['w780', 'original', 'original']);
+});
+
+test('posters in my language: from /images for list rails, from the appended images on title pages', async () => {
+  const query = 'lang=de-DE&locPosters=1';
+  const list = await metas('series', 'tmdb-popular-series', `${query}&pageSize=20`);
+  assert.equal(metaById(list, 'tmdb:tv:100000').poster, `${imageBase()}/w500/de-100000.jpg`);
+  assert.equal(metaById(list, 'tmdb:tv:100001').poster, `${imageBase()}/w500${FIXTURE_POSTER}`);
+
+  const calls = await addon.tmdbCalls(async () => {
+    const { meta } = await addon.get(`/meta/series/tmdb:tv:100002.json?${query}`);
+    assert.equal(meta.poster, `${imageBase()}/w500/de-100002.jpg`);
+  });
+  assert.ok(!calls.some(c => c.path.endsWith('/images')));
+
+  const plain = await addon.tmdbCalls(() => metas('series', 'tmdb-popular-series', 'lang=de-DE&pageSize=20'));
+  assert.ok(!plain.some(c => c.path.endsWith('/images')));
+});
+
+test('titles without a poster get a generated placeholder', needsSharp, async () => {
+  const m = metaById(await metas('movie', 'tmdb-popular-movies'), 'tmdb:movie:600098');
+  assert.equal(m.poster, `${addon.base}/poster/tmdb:movie:600098.jpg?img=standard&lang=en-GB`);
+  const res = await fetchPoster(m.poster);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'image/jpeg');
+  const meta = await sharp(Buffer.from(await res.arrayBuffer())).metadata();
+  assert.deepEqual([meta.width, meta.height], [500, 750]);
+
+  const low = await fetchPoster(m.poster.replace('img=standard', 'img=low'));
+  assert.equal((await sharp(Buffer.from(await low.arrayBuffer())).metadata()).width, 185);
+  assert.ok(!imageRequests.some(u => u.includes('600098')));
+});
+
+test('Season 0, person and collection videos without TMDB artwork get the placeholder as thumbnail', async () => {
+  const placeholder = (ref) => `${addon.base}/poster/${ref}.jpg?img=standard&lang=en-GB`;
+  const { meta } = await addon.get('/meta/series/tmdb:tv:100005.json?s0Size=100');
+  const recs = meta.videos.filter(v => v.season === 0);
+  assert.equal(recs.find(v => v.id === 'recs:series:tt:tt0200098').thumbnail, placeholder('tmdb:tv:200098'));
+  assert.equal(recs.find(v => v.id === 'recs:series:tt:tt0200097').thumbnail, `${imageBase()}/w500${FIXTURE_POSTER}`);
+
+  addon.tmdb.override('/collection/263', () => ({ id: 263, name: 'Bare', parts: [{ id: 600098, title: 'No art', release_date: '2001-01-01', poster_path: null, backdrop_path: null }] }));
+  const collection = (await addon.get('/meta/movie/tmdb:collection:263.json')).meta;
+  assert.equal(collection.videos[0].thumbnail, placeholder('tmdb:movie:600098'));
+
+  addon.tmdb.override('/person/17419', () => ({ id: 17419, name: 'Bare', combined_credits: { cast: [{ id: 100098, media_type: 'tv', name: 'No art', character: 'Self' }], crew: [] } }));
+  const person = (await addon.get('/meta/series/tmdb:person:17419.json')).meta;
+  assert.equal(person.videos[0].thumbnail, placeholder('tmdb:tv:100098'));
+});
+
+test('poster overlay: TMDB score and a new-episode badge drawn on the TMDB poster', needsSharp, async () => {
+  const list = await metas('series', 'tmdb-popular-series', 'overlay=1&pageSize=20');
+  assert.ok(list.every(m => m.poster.startsWith(`${addon.base}/poster/tmdb:tv:`)));
+
+  // last episode 2 days ago → badge; 10 days ago → none
+  const fresh = Buffer.from(await (await fetchPoster(metaById(list, 'tmdb:tv:100001').poster)).arrayBuffer());
+  const old = Buffer.from(await (await fetchPoster(metaById(list, 'tmdb:tv:100009').poster)).arrayBuffer());
+  assert.ok(imageRequests.includes(`/t/p/w500${FIXTURE_POSTER}`));
+  const [r, g, b] = await pixel(fresh, 250, 10);
+  assert.ok(r > 180 && g < 70 && b < 70, `badge pixel ${[r, g, b]}`);
+  assert.ok(near(await pixel(old, 250, 10), SOURCE_RGB));
+  // score box bottom-left on both, the rest of the poster untouched
+  for (const buf of [fresh, old]) {
+    assert.ok(!near(await pixel(buf, 40, 696), SOURCE_RGB));
+    assert.ok(near(await pixel(buf, 400, 400), SOURCE_RGB));
+  }
+
+  const metrics = await addon.request('/metrics');
+  assert.match(metrics.body, /poster_renders_total\{outcome="overlay"\} 2/);
+});
+
+test('/poster redirects to the TMDB image when there is nothing to draw or the poster cannot be fetched', async () => {
+  let res = await fetchPoster(`${addon.base}/poster/tmdb:movie:600001.jpg?img=high`);
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), `${imageBase()}/w780/oYuLEt3zVCKq57qu2F8dT7NIa6f.jpg`);
+
+  addon.tmdb.override('/tv/100003', () => ({ id: 100003, name: 'Broken', poster_path: '/missing.jpg', vote_average: 7, vote_count: 3 }));
+  res = await fetchPoster(`${addon.base}/poster/tmdb:tv:100003.jpg?overlay=1`);
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), `${imageBase()}/w500/missing.jpg`);
+
+  assert.equal((await fetchPoster(`${addon.base}/poster/tmdb:person:1.jpg`)).status, 404);
+});
@@ -0,0 +1,75 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startAddon, tmdbIdOf, range } from './helpers.js';
+import { BASE, paged } from './mock-tmdb.js';
+
+let addon;
+before(async () => { addon = await startAddon(); });
+after(() => addon.close());
+afterEach(() => addon.tmdb.reset());
+
+const preview = (path, params = {}) => addon.get(`${path}?${new URLSearchParams(params)}`);
+
+test('/configure has the preview card', async () => {
+  const html = (await addon.request('/configure')).body;
+  assert.match(html, /id="previewBtn"/);
+  assert.match(html, /id="recsForm"/);
+});
+
+test('/preview/catalogs: first posters of every enabled rail, in layout order', async () => {
+  const calls = await addon.tmdbCalls(async () => {
+    const { rails, skipped } = await preview('/preview/catalogs');
+    const manifest = await addon.get('/manifest.json');
+    const browsable = manifest.catalogs.filter(c => !c.extra.some(e => e.name === 'search' && e.isRequired));
+    assert.deepEqual(rails.map(r => r.id), browsable.map(c => c.id));
+    assert.deepEqual(skipped, ['TMDB Recommendations', 'TMDB: did you mean…', 'Collections (TMDB)']);
+
+    const popular = rails.find(r => r.id === 'tmdb-popular-series');
+    assert.equal(popular.metas.length, 12);
+    assert.deepEqual(popular.metas.map(m => tmdbIdOf(m.id)), range(BASE.tv, 12));
+    assert.deepEqual(popular.metas[0].links, [
+      { name: 'APP • Open details', url: 'stremio:///detail/series/tmdb:tv:100000' },
+      { name: 'WEB • Open details', url: 'https://web.stremio.com/#/detail/series/tmdb%3Atv%3A100000' }
+    ]);
+    assert.match(popular.metas[0].poster, /\/w500\//);
+  });
+  // a preview reads one 20-title page per list rail
+  assert.deepEqual(calls.filter(c => c.path === '/tv/popular').map(c => c.params.page), ['1']);
+});
+
+test('/preview/catalogs uses the unsaved settings from the query', async () => {
+  const rails = JSON.stringify([{ id: 'tmdb-people', name: 'Stars' }, { id: 'tmdb-custom-1', type: 'movie', name: 'Like Alien', seed: 'Alien' }]);
+  const body = await preview('/preview/catalogs', { rails, onair: '0', exGenres: '27', img: 'low' });
+  assert.deepEqual(body.rails.slice(0, 2).map(r => r.name), ['Stars', 'Like Alien']);
+  assert.ok(!body.rails.some(r => r.id === 'tmdb-on-air'));
+  const movies = body.rails.find(r => r.id === 'tmdb-popular-movies').metas;
+  assert.ok(movies.every(m => tmdbIdOf(m.id) % 6 !== 5));
+  assert.match(movies[0].poster, /\/w185\//);
+  assert.deepEqual(body.rails[1].metas.map(m => tmdbIdOf(m.id)), range(BASE.movieRecs, 15).filter(id => id % 6 !== 5));
+});
+
+test('/preview/recs: Season 0 of the resolved title with the stream handler links', async () => {
+  const { title, recommendations } = await preview('/preview/recs', { title: 'Show', type: 'series' });
+  assert.equal(title.id, `tmdb:tv:${BASE.tvSearch}`);
+  assert.equal(title.name, `Show ${BASE.tvSearch}`);
+  assert.equal(recommendations.length, 20);
+  assert.deepEqual(recommendations.map(r => tmdbIdOf(r.id)), range(BASE.tvRecs, 20));
+  assert.deepEqual(recommendations[0].links, [
+    { name: 'APP • Open details', url: 'stremio:///detail/series/tt0200000' },
+    { name: 'WEB • Open details', url: 'https://web.stremio.com/#/detail/series/tt0200000' },
+    { name: 'APP • See more recs', url: 'stremio:///detail/series/tmdb:tv:200000' },
+    { name: 'WEB • See more recs', url: 'https://web.stremio.com/#/detail/series/tmdb%3Atv%3A200000' }
+  ]);
+
+  const movie = await preview('/preview/recs', { title: 'Movie', type: 'movie', s0Size: '50', exGenres: '27' });
+  assert.equal(movie.title.id, `tmdb:movie:${BASE.movieSearch}`);
+  assert.equal(movie.recommendations.length, 50);
+  assert.ok(movie.recommendations.every(r => tmdbIdOf(r.id) % 6 !== 5));
+});
+
+test('/preview/recs: no match and missing title', async () => {
+  addon.tmdb.override('/search/tv', () => paged(1, () => null, 0));
+  addon.tmdb.override('/search/movie', () => paged(1, () => null, 0));
+  assert.deepEqual(await preview('/preview/recs', { title: 'Nothing like this' }), { title: null, recommendations: [] });
+  assert.equal((await addon.request('/preview/recs')).status, 400);
+});
@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startAddon, tmdbIdOf, range } from './helpers.js';
+import { BASE } from './mock-tmdb.js';
+
+let addon;
+before(async () => { addon = await startAddon(); });
+after(() => addon.close());
+
+const UNKNOWN = 'unknownProfileToken00001';
+const post = (path, form) => addon.request(path, { method: 'POST', body: new URLSearchParams(form) });
+// POST /profile → the token in the /<token>/configure redirect
+async function saveProfile(form) {
+  const res = await post('/profile', form);
+  assert.equal(res.status, 303);
+  const [, token, rest] = res.headers.get('location').split('/');
+  assert.equal(rest, 'configure?saved=1');
+  return token;
+}
+
+test('/<token>/manifest.json serves the saved settings', async () => {
+  const rails = JSON.stringify([{ id: 'tmdb-people', name: 'Stars' }]);
+  const token = await saveProfile({ onair: '0', rails });
+  const m = await addon.get(`/${token}/manifest.json`);
+  assert.equal(m.catalogs[0].name, 'Stars');
+  assert.ok(!m.catalogs.some(c => c.id === 'tmdb-on-air'));
+  // the install URL carries no settings; query flags don't override the profile
+  assert.ok(!(await addon.get(`/${token}/manifest.json?onair=1`)).catalogs.some(c => c.id === 'tmdb-on-air'));
+});
+
+test('/<token>/catalog/… uses the saved settings', async () => {
+  const token = await saveProfile({ pageSize: '20', onair: '0' });
+  const { metas } = await addon.get(`/${token}/catalog/series/tmdb-popular-series.json`);
+  assert.deepEqual(metas.map(m => tmdbIdOf(m.id)), range(BASE.tv, 20));
+  const next = await addon.get(`/${token}/catalog/series/tmdb-popular-series/skip=20.json`);
+  assert.deepEqual(next.metas.map(m => tmdbIdOf(m.id)), range(BASE.tv + 20, 20));
+  assert.deepEqual((await addon.get(`/${token}/catalog/series/tmdb-on-air.json`)).metas, []);
+});
+
+test('POST /<token>/configure edits the profile in place', async () => {
+  const token = await saveProfile({ pageSize: '20' });
+  const page = (await addon.request(`/${token}/configure`)).body;
+  assert.match(page, new RegExp(`action="/${token}/configure" method="POST"`));
+
+  const res = await post(`/${token}/configure`, { pageSize: '50', onair: '0' });
+  assert.equal(res.status, 303);
+  assert.equal(res.headers.get('location'), `/${token}/configure?saved=1`);
+  assert.match((await addon.request(`/${token}/configure?saved=1`)).body, /— saved\./);
+  assert.equal((await addon.get(`/${token}/catalog/series/tmdb-popular-series.json`)).metas.length, 50);
+  assert.ok(!(await addon.get(`/${token}/manifest.json`)).catalogs.some(c => c.id === 'tmdb-on-air'));
+});
+
+test('unknown tokens are 404 on every profile route', async () => {
+  assert.equal((await addon.request(`/${UNKNOWN}/manifest.json`)).status, 404);
+  assert.equal((await addon.request(`/${UNKNOWN}/catalog/series/tmdb-popular-series.json`)).status, 404);
+  assert.equal((await addon.request(`/${UNKNOWN}/meta/series/tmdb:tv:100000.json`)).status, 404);
+  assert.equal((await addon.request(`/${UNKNOWN}/configure`)).status, 404);
+  assert.equal((await post(`/${UNKNOWN}/configure`, { pageSize: '50' })).status, 404);
+  assert.equal((await addon.request(`/${UNKNOWN}/manifest.json`)).status, 404, 'a failed edit creates no profile');
+});
+
+test('the history form on /<token>/configure imports into that profile', async () => {
+  const token = await saveProfile({ pageSize: '20' });
+  assert.match((await addon.request(`/${token}/configure`)).body, new RegExp(`<form method="POST" action="/${token}/history">`));
+  const res = await post(`/${token}/history`, { history: 'tt0600001\ntt0100002' });
+  assert.equal(res.status, 303);
+  assert.equal(res.headers.get('location'), `/${token}/configure`);
+  const ids = (await addon.get(`/${token}/manifest.json`)).catalogs.map(c => c.id);
+  assert.ok(ids.includes('tmdb-for-you-movie') && ids.includes('tmdb-for-you-series'), ids.join());
+  assert.equal((await addon.get(`/${token}/catalog/series/tmdb-popular-series.json`)).metas.length, 20, 'settings are kept');
+  assert.equal((await post(`/${UNKNOWN}/history`, { history: 'tt0600001' })).status, 404);
+});
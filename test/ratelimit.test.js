@@ -0,0 +1,44 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startAddon } from './helpers.js';
+import { BASE, listItem, paged, reply } from './mock-tmdb.js';
+
+// retries on, so 429s are retried (the other test files fail fast with TMDB_RETRIES=0)
+let addon;
+before(async () => { addon = await startAddon({ TMDB_RETRIES: '2', TMDB_MAX_RETRY_AFTER: '5' }); });
+after(() => addon.close());
+afterEach(() => addon.tmdb.reset());
+
+const popular = (q) => paged(Number(q.get('page')), k => listItem('tv', BASE.tv + k));
+
+test('a 429 is retried after its Retry-After', async () => {
+  let calls = 0;
+  addon.tmdb.override('/tv/popular', (q) => (++calls === 1 ? reply(429, { status_code: 25 }, { 'retry-after': '1' }) : popular(q)));
+  const started = Date.now();
+  const { metas } = await addon.get('/catalog/series/tmdb-popular-series.json?pageSize=20');
+  assert.equal(metas.length, 20);
+  assert.equal(calls, 2);
+  assert.ok(Date.now() - started >= 1000);
+});
+
+test('a Retry-After above the cap fails the request at once and pauses nobody', async () => {
+  let calls = 0;
+  addon.tmdb.override('/movie/popular', () => { calls++; return reply(429, { status_code: 25 }, { 'retry-after': '3600' }); });
+  const started = Date.now();
+  const res = await addon.request('/catalog/movie/tmdb-popular-movies.json');
+  assert.equal(res.status, 500);
+  assert.match(res.body.err, /429 .*Retry-After 3600s/);
+  assert.equal(calls, 1);
+  // other TMDB calls go ahead
+  await addon.get('/catalog/series/tmdb-on-air.json?pageSize=20');
+  assert.ok(Date.now() - started < 2000, `${Date.now() - started} ms`);
+});
+
+test('5xx responses are retried, then reported', async () => {
+  let calls = 0;
+  addon.tmdb.override('/discover/tv', () => { calls++; return reply(503, { status_code: 11 }); });
+  const res = await addon.request('/catalog/series/tmdb-discover-series.json');
+  assert.equal(res.status, 500);
+  assert.match(res.body.err, /503 .* after 3 attempts/);
+  assert.equal(calls, 3);
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startAddon } from './helpers.js';
+
+// stores left in DATA_DIR by a previous run
+const DATA_DIR = mkdtempSync(join(tmpdir(), 'tmdb-addon-data-'));
+const daysAgo = (n) => new Date(Date.now() - n * 864e5).toISOString();
+const FRESH = 'freshProfileToken0000001', STALE = 'staleProfileToken0000001';
+let addon;
+before(async () => {
+  writeFileSync(join(DATA_DIR, 'id-map.json'), JSON.stringify([['tv:100005', 'tt7777777']]));
+  writeFileSync(join(DATA_DIR, 'profiles.json'), JSON.stringify([
+    [STALE, { created: daysAgo(400), updated: daysAgo(300), seen: daysAgo(200).slice(0, 10), settings: { pageSize: '20' } }],
+    [FRESH, { created: daysAgo(400), updated: daysAgo(300), seen: daysAgo(3).slice(0, 10), settings: { pageSize: '20', onair: '0' } }]
+  ]));
+  addon = await startAddon({ DATA_DIR, ID_MAP_MAX: '10', PROFILE_MAX: '3', PROFILE_MAX_AGE_DAYS: '180' });
+});
+after(() => addon.close());
+
+const saveProfile = async (settings) => {
+  const res = await addon.request('/profile', { method: 'POST', body: new URLSearchParams(settings) });
+  assert.equal(res.status, 303);
+  return res.headers.get('location').split('/')[1];
+};
+
+test('the tmdb ↔ IMDb index is loaded from DATA_DIR at startup', async () => {
+  const calls = await addon.tmdbCalls(async () => {
+    const { metas } = await addon.get('/catalog/series/tmdb-on-air.json?pageSize=20');
+    assert.equal(metas[5].id, 'tt7777777');
+    assert.equal(metas[6].id, 'tt0100006');
+  });
+  assert.ok(!calls.some(c => c.path === '/tv/100005/external_ids'));
+  assert.ok(calls.some(c => c.path === '/tv/100006/external_ids'));
+});
+
+test('the index keeps the ID_MAP_MAX most recently used ids', async () => {
+  // the 20 titles above pushed the stored tv:100005 out
+  const calls = await addon.tmdbCalls(async () => {
+    const { metas } = await addon.get('/catalog/series/tmdb-on-air.json?pageSize=20');
+    assert.equal(metas[5].id, 'tt0100005');
+  });
+  assert.ok(calls.some(c => c.path === '/tv/100005/external_ids'));
+});
+
+test('saved profiles survive a restart; ones unused for PROFILE_MAX_AGE_DAYS are dropped', async () => {
+  const manifest = await addon.get(`/${FRESH}/manifest.json`);
+  assert.ok(!manifest.catalogs.some(c => c.id === 'tmdb-on-air'));
+  assert.equal((await addon.request(`/${STALE}/manifest.json`)).status, 404);
+});
+
+let saved;
+test('new profiles are written to DATA_DIR', async () => {
+  const token = saved = await saveProfile({ pageSize: '50' });
+  await new Promise(r => setTimeout(r, 2500));
+  const stored = new Map(JSON.parse(readFileSync(join(DATA_DIR, 'profiles.json'), 'utf8')));
+  assert.deepEqual(stored.get(token).settings.pageSize, '50');
+  assert.ok(stored.has(FRESH) && !stored.has(STALE));
+  assert.equal(stored.get(FRESH).seen, new Date().toISOString().slice(0, 10), 'installs mark their profile as used');
+});
+
+test('with PROFILE_MAX profiles kept, new ones are refused and none are evicted', async () => {
+  const third = await saveProfile({ pageSize: '20' });
+  let res = await addon.request('/profile', { method: 'POST', body: new URLSearchParams({ pageSize: '20' }) });
+  assert.equal(res.status, 503);
+  res = await addon.request('/history', { method: 'POST', body: new URLSearchParams({ history: 'tt0600001' }) });
+  assert.equal(res.status, 503);
+  for (const token of [FRESH, saved, third]) assert.equal((await addon.request(`/${token}/manifest.json`)).status, 200, token);
+  // saved profiles can still be edited
+  res = await addon.request(`/${saved}/configure`, { method: 'POST', body: new URLSearchParams({ pageSize: '100' }) });
+  assert.equal(res.status, 303);
+});
@@ -0,0 +1,116 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startAddon } from './helpers.js';
+
+let addon;
+before(async () => { addon = await startAddon(); });
+after(() => addon.close());
+afterEach(() => addon.tmdb.reset());
+
+const streams = async (type, id, query = '') => (await addon.get(`/stream/${type}/${encodeURIComponent(id)}.json${query ? `?${query}` : ''}`)).streams;
+const rows = (list) => list.map(s => [s.name, s.externalUrl]);
+const web = (path) => `https://web.stremio.com/#/${path}`;
+
+test('recs:series:tt:… → open details by IMDb id, more recs on the tmdb: page', async () => {
+  assert.deepEqual(rows(await streams('series', 'recs:series:tt:tt0100020')), [
+    ['APP • Open details', 'stremio:///detail/series/tt0100020'],
+    ['WEB • Open details', web('detail/series/tt0100020')],
+    ['APP • See more recs', 'stremio:///detail/series/tmdb:tv:100020'],
+    ['WEB • See more recs', web('detail/series/tmdb%3Atv%3A100020')]
+  ]);
+});
+
+test('recs:series:tmdb-… → looks up the IMDb id', async () => {
+  assert.deepEqual(rows(await streams('series', 'recs:series:tmdb-100030')).slice(0, 3), [
+    ['APP • Open details', 'stremio:///detail/series/tt0100030'],
+    ['WEB • Open details', web('detail/series/tt0100030')],
+    ['APP • See more recs', 'stremio:///detail/series/tmdb:tv:100030']
+  ]);
+});
+
+test('recs:movie:tmdb-… with an IMDb id → open details', async () => {
+  assert.deepEqual(rows(await streams('movie', 'recs:movie:tmdb-600010')), [
+    ['APP • Open details', 'stremio:///detail/movie/tt0600010'],
+    ['WEB • Open details', web('detail/movie/tt0600010')],
+    ['APP • See more recs', 'stremio:///detail/movie/tmdb:movie:600010'],
+    ['WEB • See more recs', web('detail/movie/tmdb%3Amovie%3A600010')]
+  ]);
+});
+
+test('recs:movie:tmdb-… without an IMDb id → search by title and year', async () => {
+  assert.deepEqual(rows(await streams('movie', 'recs:movie:tmdb-600099')), [
+    ['APP • Open details (via search)', 'stremio:///search?search=Movie%20600099%202010'],
+    ['WEB • Open details (via search)', web('search?search=Movie%20600099%202010')],
+    ['APP • See more recs', 'stremio:///detail/movie/tmdb:movie:600099'],
+    ['WEB • See more recs', web('detail/movie/tmdb%3Amovie%3A600099')]
+  ]);
+});
+
+test('recs:movie:tt:… → open details, more recs once /find knows the title', async () => {
+  assert.deepEqual(rows(await streams('movie', 'recs:movie:tt:tt0600042')).map(r => r[1]), [
+    'stremio:///detail/movie/tt0600042',
+    web('detail/movie/tt0600042'),
+    'stremio:///detail/movie/tmdb:movie:600042',
+    web('detail/movie/tmdb%3Amovie%3A600042')
+  ]);
+  // a series id under recs:movie has no movie page to point at
+  assert.equal((await streams('movie', 'recs:movie:tt:tt0100042')).length, 2);
+});
+
+const rowsFor = (kind, page) => [
+  ['APP • Recommendations', `stremio:///detail/${kind}/${page}`],
+  ['WEB • Recommendations', web(`detail/${kind}/${encodeURIComponent(page)}`)]
+];
+
+test('tt… and tt…:season:episode → recommendations, similar, creator and search rows', async () => {
+  const expected = [
+    ...rowsFor('series', 'tmdb:tv:100050'),
+    ['APP • Similar titles', 'stremio:///detail/series/similar:series:100050'],
+    ['WEB • Similar titles', web('detail/series/similar%3Aseries%3A100050')],
+    ['APP • More from this creator', 'stremio:///detail/series/tmdb:person:66633'],
+    ['WEB • More from this creator', web('detail/series/tmdb%3Aperson%3A66633')],
+    ['APP • TMDB recs', 'stremio:///search?search=Show%20100050%202008'],
+    ['WEB • TMDB recs', web('search?search=Show%20100050%202008')]
+  ];
+  assert.deepEqual(rows(await streams('series', 'tt0100050')), expected);
+  assert.deepEqual(rows(await streams('series', 'tt0100050:1:2')), expected);
+  assert.equal((await streams('series', 'tt0100050')).find(s => s.name === 'APP • More from this creator').description, 'Vince Gilligan · Open in Stremio app');
+  assert.deepEqual(await streams('series', 'tt0100050:1:2', 'streams=0'), []);
+});
+
+test('tmdb:movie:… in a collection → collection and director rows', async () => {
+  const list = await streams('movie', 'tmdb:movie:600060');
+  assert.deepEqual(rows(list).map(r => r[0]), [
+    'APP • Recommendations', 'WEB • Recommendations', 'APP • Similar titles', 'WEB • Similar titles',
+    'APP • Same collection', 'WEB • Same collection', 'APP • More from this creator', 'WEB • More from this creator',
+    'APP • TMDB recs', 'WEB • TMDB recs'
+  ]);
+  assert.equal(list[4].externalUrl, 'stremio:///detail/movie/tmdb:collection:263');
+  assert.equal(list[4].description, 'The Dark Knight Collection · Open in Stremio app');
+  assert.equal(list[6].externalUrl, 'stremio:///detail/series/tmdb:person:525');
+  // odd ids have no collection; collections switched off hide the row
+  assert.ok(!rows(await streams('movie', 'tmdb:movie:600061')).some(r => r[0].includes('collection')));
+  assert.ok(!rows(await streams('movie', 'tmdb:movie:600060', 'collections=0')).some(r => r[0].includes('collection')));
+});
+
+test('stream rows follow the sRows setting', async () => {
+  assert.deepEqual(rows(await streams('series', 'tmdb:tv:100060:1:1', 'sRows=search,recs')), [
+    ...rowsFor('series', 'tmdb:tv:100060'),
+    ['APP • TMDB recs', 'stremio:///search?search=Show%20100060%202008'],
+    ['WEB • TMDB recs', web('search?search=Show%20100060%202008')]
+  ]);
+  assert.deepEqual(await streams('series', 'tmdb:tv:100060', 'sRows='), []);
+  assert.deepEqual(await streams('series', 'tmdb:tv:100060', 'streams=0'), []);
+});
+
+test('an IMDb id TMDB does not know → one search row instead of duplicates', async () => {
+  addon.tmdb.override('/find/tt0109999', () => ({ movie_results: [], tv_results: [] }));
+  assert.deepEqual(rows(await streams('series', 'tt0109999')), [
+    ['APP • Recommendations', 'stremio:///search?search=tt0109999'],
+    ['WEB • Recommendations', web('search?search=tt0109999')]
+  ]);
+});
+
+test('other ids get no streams', async () => {
+  assert.deepEqual(await streams('series', 'kitsu:1:1'), []);
+});